@@ -0,0 +1 @@
+jQuery('#flash').html('<div class=\"alert alert-success\">ההזמנה בוטלה<\/div>');
@@ -0,0 +1,2 @@
+jQuery('#step-3').html('<h3>מגרש: 3, 06/01/2030 19:00-20:00<\/h3>\n<form class=\"new_court_invitation\" id=\"new_court_invitation\" action=\"/self_services/court_invitations.js\" accept-charset=\"UTF-8\" data-remote=\"true\" method=\"post\">\n<input name=\"utf8\" type=\"hidden\" value=\"&#x2713;\" />\n<input type=\"hidden\" name=\"authenticity_token\" value=\"b7Yc/Q0wZ3Aa==\" />\n<input type=\"hidden\" name=\"court_invitation[court_id]\" value=\"203\" />\n<input type=\"hidden\" name=\"court_invitation[start_time]\" value=\"06/01/2030 19:00\" />\n<input type=\"hidden\" name=\"court_invitation[end_time]\" value=\"06/01/2030 20:00\" />\n<label><input type=\"checkbox\" name=\"court_invitation[lights]\" value=\"1\" /> תאורה<\/label>\n<input type=\"submit\" name=\"commit\" value=\"אישור\" />\n<input type=\"submit\" name=\"cancel\" value=\"ביטול\" />\n<\/form>');
+jQuery('#step-3').show();
@@ -0,0 +1 @@
+jQuery('#step-3').html('<div class=\"alert alert-success\">ההזמנה בוצעה בהצלחה! <strong>06/01/2030 19:00<\/strong><\/div>');
@@ -0,0 +1 @@
+jQuery('#step-3').html('<div class=\"alert alert-danger\">המגרש כבר הוזמן, יש לבחור מועד אחר<\/div>');
@@ -0,0 +1,2 @@
+jQuery('#step-2').html('<div class=\"alert alert-success\">נמצאו מגרשים פנויים<\/div>\n<table class=\"table table-striped\">\n  <tr>\n    <td>מגרש: 3<\/td>\n    <td>תאורה<\/td>\n    <td><a class=\"btn btn-primary\" data-remote=\"true\" href=\"/self_services/court_invitation_confirm?court_id=203&amp;duration=1.0&amp;end_time=06%2F01%2F2030+20%3A00&amp;start_time=06%2F01%2F2030+19%3A00\">הזמן<\/a><\/td>\n  <\/tr>\n  <tr>\n    <td>מגרש: 7<\/td>\n    <td>תאורה<\/td>\n    <td><a class=\"btn btn-primary\" data-remote=\"true\" href=\"/self_services/court_invitation_confirm?court_id=207&amp;duration=1.0&amp;end_time=06%2F01%2F2030+20%3A00&amp;start_time=06%2F01%2F2030+19%3A00\">הזמן<\/a><\/td>\n  <\/tr>\n  <tr>\n    <td>מגרש:&nbsp;12<\/td>\n    <td><\/td>\n    <td><a class=\"btn btn-primary\" data-remote=\"true\" href=\"/self_services/court_invitation_confirm?court_id=212&amp;duration=1.0&amp;end_time=06%2F01%2F2030+20%3A00&amp;start_time=06%2F01%2F2030+19%3A00\">הזמן<\/a><\/td>\n  <\/tr>\n<\/table>');
+jQuery('#step-2').show();
@@ -0,0 +1 @@
+jQuery('#step-2').html('<div class=\"alert alert-danger\">אירעה שגיאה בעת החיפוש, אנא נסו שוב מאוחר יותר<\/div>');
@@ -0,0 +1 @@
+window.location.href = '/self_services/login';
@@ -0,0 +1 @@
+jQuery('#step-2').html('<div class=\"alert alert-danger\">אין מגרשים פנויים במועד המבוקש<\/div>');
@@ -0,0 +1,2 @@
+jQuery('#step-2').html('<div class=\"alert alert-danger\">‏לא נמצאו מגרשים פנויים, נסה מועד אחר<\/div>\n<p>מועדים אחרים:<\/p>\n<div class=\"suggestions\">\n  <h3>17:00-18:00<\/h3>\n  <h3>21:00-22:00<\/h3>\n  <h3>8:00-9:00<\/h3>\n<\/div>');
+jQuery('#step-2').show();
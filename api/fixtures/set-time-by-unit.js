@@ -0,0 +1 @@
+jQuery('#search_start_hour').html('<option value=\"\">בחר שעה<\/option>\n<option value=\"07:00\">07:00<\/option>\n<option value=\"07:30\">07:30<\/option>\n<option value=\"08:00\">08:00<\/option>\n<option value=\"12:00\">12:00<\/option>\n<option value=\"12:30\">12:30<\/option>\n<option value=\"16:00\">16:00<\/option>\n<option value=\"21:30\">21:30<\/option>');
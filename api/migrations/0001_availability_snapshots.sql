@@ -0,0 +1,17 @@
+-- One row per searched slot: how many courts were free, and how far ahead it was searched
+CREATE TABLE availability_snapshots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  unit_id TEXT NOT NULL,
+  date TEXT NOT NULL,          -- YYYY-MM-DD of the slot
+  time_slot TEXT NOT NULL,     -- HH:MM
+  weekday INTEGER NOT NULL,    -- 0 = Sunday
+  hour INTEGER NOT NULL,
+  court_type TEXT NOT NULL,
+  duration TEXT NOT NULL,
+  free_courts INTEGER NOT NULL,
+  hours_ahead INTEGER NOT NULL,
+  recorded_at INTEGER NOT NULL -- epoch milliseconds
+);
+
+CREATE INDEX idx_availability_snapshots_recorded_at ON availability_snapshots (recorded_at);
+CREATE INDEX idx_availability_snapshots_unit ON availability_snapshots (unit_id, court_type, duration, recorded_at);
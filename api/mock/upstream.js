@@ -0,0 +1,394 @@
+/**
+ * Local mock of center.tennis.org.il
+ *
+ * Serves the self_services paths the Worker talks to, so the app can be run
+ * end to end without the live site:
+ *
+ *   npm run mock       # starts this server on http://localhost:9001
+ *   npm run dev:mock   # starts the Worker against it
+ *
+ * Any email and ID log in. Availability is generated deterministically from
+ * the unit, date and hour; reservations are kept in memory until restart.
+ * Booking links open a confirmation page whose form posts to a path of the
+ * mock's own, and the reservations page (linked from the search form) has a
+ * cancel form per row: the Worker follows links and submits the forms it
+ * finds, so none of these paths are known to it.
+ * Units 2 and 13 also rent out padel and mini tennis courts respectively.
+ * Full slots suggest the nearest free start times, half hours included.
+ * Set MOCK_SESSION_TTL (seconds) to have logged-in sessions expire, e.g. to
+ * exercise re-login. MOCK_DELAY_MS slows searches down and MOCK_ERROR_RATE
+ * (0-1) makes that share of them fail with a 503, to exercise the Worker's
+ * request scheduler. MOCK_TIME_SLOTS_ERROR_RATE does the same to set_time_by_unit,
+ * to exercise the opening-hours fallback.
+ */
+
+import { createServer } from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { TENNIS_CENTERS } from '../../public/constants.js';
+import { getValidTimeSlots } from '../../public/utils.js';
+
+const PORT = process.env.MOCK_PORT || 9001;
+const SESSION_TTL = Number(process.env.MOCK_SESSION_TTL) || 0;
+const DELAY_MS = Number(process.env.MOCK_DELAY_MS) || 0;
+const ERROR_RATE = Number(process.env.MOCK_ERROR_RATE) || 0;
+const TIME_SLOTS_ERROR_RATE = Number(process.env.MOCK_TIME_SLOTS_ERROR_RATE) || 0;
+
+// Session ID -> { loggedIn, authenticityToken, createdAt }
+const sessions = new Map();
+
+// Reservation ID -> { unitId, courtId, court, startTime, endTime }
+const reservations = new Map();
+let nextReservationId = 1000;
+
+// The app's centers plus one it has no metadata for, as when the site opens a new center
+const UNIT_NAMES = {
+  ...Object.fromEntries(TENNIS_CENTERS.map((center) => [center.id, center.name])),
+  60: 'נתניה',
+};
+
+// Court types (search[court_type]) each unit rents out besides tennis
+const COURT_TYPES = {
+  1: 'טניס',
+  2: 'פאדל',
+  3: 'מיני טניס',
+};
+const UNIT_COURT_TYPES = {
+  2: ['1', '2'],
+  10: ['1'],
+  13: ['1', '3'],
+};
+
+// Units that close earlier than the usual hours (last start hour)
+const UNIT_LAST_HOURS = {
+  13: 20,
+};
+
+const COURTS_PER_UNIT = 8;
+
+/**
+ * Wrap HTML the way the upstream's jQuery responses do
+ */
+function jQueryHtml(selector, html) {
+  const escaped = html
+    .replace(/\//g, '\\/')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+  return `jQuery('${selector}').html('${escaped}');`;
+}
+
+/**
+ * Small deterministic hash for generating availability
+ */
+function hash(value) {
+  let h = 0;
+  for (const char of value) {
+    h = (h * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return h;
+}
+
+/**
+ * Opening hours of a unit on a date: the frontend's usual hours (which follow
+ * the holiday calendar), cut short for units in UNIT_LAST_HOURS
+ */
+function getOpeningHours(unitId, date) {
+  const [day, month, year] = date.split('/').map(Number);
+  const lastHour = UNIT_LAST_HOURS[unitId] ?? 23;
+  return getValidTimeSlots(new Date(year, month - 1, day))
+    .map((slot) => parseInt(slot, 10))
+    .filter((hour) => hour <= lastHour);
+}
+
+/**
+ * Format an hour (19.5 for 19:30) as HH:MM
+ */
+function formatHour(hour) {
+  return `${String(Math.floor(hour)).padStart(2, '0')}:${hour % 1 ? '30' : '00'}`;
+}
+
+/**
+ * Free courts for a start hour, which may be a half hour: then the court has to be
+ * free in both hours it overlaps
+ */
+function getFreeCourtsAt(unitId, date, startHour, courtType) {
+  const free = getFreeCourts(unitId, date, Math.floor(startHour), courtType);
+  if (startHour % 1 === 0) {
+    return free;
+  }
+  const next = getFreeCourts(unitId, date, Math.ceil(startHour), courtType).map(({ court }) => court);
+  return free.filter(({ court }) => next.includes(court));
+}
+
+/**
+ * Free court numbers of a unit for a date and start hour
+ */
+function getFreeCourts(unitId, date, hour, courtType = '1') {
+  const seed = hash(courtType === '1' ? `${unitId}|${date}|${hour}` : `${unitId}|${courtType}|${date}|${hour}`);
+  const courts = [];
+  for (let court = 1; court <= COURTS_PER_UNIT; court++) {
+    const courtId = Number(unitId) * 100 + court;
+    const startTime = `${date} ${formatHour(hour)}`;
+    if ((seed >> court) % 3 === 0 && !isBooked(courtId, startTime)) {
+      courts.push({ court, courtId });
+    }
+  }
+  return courts;
+}
+
+function isBooked(courtId, startTime) {
+  return [...reservations.values()].some(
+    (reservation) => reservation.courtId === courtId && reservation.startTime === startTime
+  );
+}
+
+function loginPage(authenticityToken) {
+  return `<!DOCTYPE html><html><body>
+<form action="/self_services/login" method="post">
+<input type="hidden" name="authenticity_token" value="${authenticityToken}">
+<input type="text" name="login"><input type="password" name="p_id">
+</form></body></html>`;
+}
+
+function courtInvitationPage(authenticityToken, unitId) {
+  const courtTypes = unitId ? UNIT_COURT_TYPES[unitId] || ['1'] : Object.keys(COURT_TYPES);
+  return `<!DOCTYPE html><html><body>
+<div class="navbar"><a href="/self_services/my_invitations">ההזמנות שלי</a></div>
+<form id="new_search" action="/self_services/search_court.js" method="post">
+<input type="hidden" name="authenticity_token" value="${authenticityToken}">
+<select name="search[unit_id]" id="search_unit_id">
+<option value="">בחר מרכז</option>
+${Object.entries(UNIT_NAMES).map(([id, name]) => `<option value="${id}">${name}</option>`).join('\n')}
+</select>
+<select name="search[court_type]" id="search_court_type">
+${courtTypes.map((id) => `<option value="${id}">${COURT_TYPES[id]}</option>`).join('\n')}
+</select>
+</form>
+<div id="step-2"></div>
+</body></html>`;
+}
+
+function searchCourt(params) {
+  const unitId = params.get('search[unit_id]');
+  const date = params.get('search[start_date]');
+  const [hours, minutes] = params.get('search[start_hour]').split(':').map(Number);
+  const startHour = hours + (minutes >= 30 ? 0.5 : 0);
+  const duration = parseFloat(params.get('search[duration]') || '1');
+  const courtType = params.get('search[court_type]') || '1';
+
+  const openingHours = getOpeningHours(unitId, date);
+  const offered = (UNIT_COURT_TYPES[unitId] || ['1']).includes(courtType);
+  // Half-hour starts are open when both hours they overlap are
+  const startHours = openingHours.flatMap((hour) => (openingHours.includes(hour + 1) ? [hour, hour + 0.5] : [hour]));
+  const free = offered && startHours.includes(startHour) ? getFreeCourtsAt(unitId, date, startHour, courtType) : [];
+
+  if (free.length === 0) {
+    // The three nearest start times with a free court, half hours included
+    const suggestions = startHours
+      .filter((hour) => offered && hour !== startHour && getFreeCourtsAt(unitId, date, hour, courtType).length > 0)
+      .sort((a, b) => Math.abs(a - startHour) - Math.abs(b - startHour))
+      .slice(0, 3)
+      .sort((a, b) => a - b)
+      .map((hour) => `<h3>${formatHour(hour)}-${formatHour(hour + duration)}</h3>`)
+      .join('\n');
+    return jQueryHtml('#step-2', `<div class="alert alert-danger">לא נמצאו מגרשים פנויים, נסה מועד אחר</div>
+<p>מועדים אחרים:</p>
+${suggestions}`);
+  }
+
+  const startTime = `${date} ${formatHour(startHour)}`;
+  const endTime = `${date} ${formatHour(startHour + duration)}`;
+  const rows = free.map(({ court, courtId }) => {
+    const query = [
+      `court_id=${courtId}`,
+      `duration=${duration.toFixed(1)}`,
+      `end_time=${encodeURIComponent(endTime).replace(/%20/g, '+')}`,
+      `start_time=${encodeURIComponent(startTime).replace(/%20/g, '+')}`,
+    ].join('&amp;');
+    return `<tr><td>מגרש: ${court}</td><td><a href="/self_services/court_invitation_confirm?${query}">הזמן</a></td></tr>`;
+  }).join('\n');
+
+  return jQueryHtml('#step-2', `<div class="alert alert-success">נמצאו מגרשים פנויים</div>
+<table>
+${rows}
+</table>`);
+}
+
+/**
+ * The page a search result's booking link opens: the slot and a form that confirms it
+ * (the Worker submits whatever form this page has, wherever it posts)
+ */
+function courtInvitationConfirmPage(authenticityToken, params) {
+  const courtId = Number(params.get('court_id'));
+  const startTime = params.get('start_time');
+  const layout = (content) => `<!DOCTYPE html><html><body>
+<form action="/self_services/logout" method="post"><input type="hidden" name="authenticity_token" value="${authenticityToken}"><button>יציאה</button></form>
+${content}
+</body></html>`;
+
+  if (isBooked(courtId, startTime)) {
+    return layout('<div class="alert alert-danger">המגרש כבר הוזמן, יש לבחור מועד אחר</div>');
+  }
+
+  const hidden = ['court_id', 'duration', 'start_time', 'end_time']
+    .map((name) => `<input type="hidden" name="court_invitation[${name}]" value="${params.get(name)}">`)
+    .join('\n');
+  return layout(`<h2>מגרש ${courtId % 100} · ${startTime}</h2>
+<form action="/self_services/create_court_invitation.js" method="post" data-remote="true">
+<input type="hidden" name="utf8" value="✓">
+<input type="hidden" name="authenticity_token" value="${authenticityToken}">
+${hidden}
+<input type="submit" name="commit" value="אישור הזמנה">
+</form>`);
+}
+
+function createCourtInvitation(params) {
+  const courtId = Number(params.get('court_invitation[court_id]'));
+  const startTime = params.get('court_invitation[start_time]');
+  if (isBooked(courtId, startTime)) {
+    return jQueryHtml('#step-3', '<div class="alert alert-danger">המגרש כבר הוזמן, יש לבחור מועד אחר</div>');
+  }
+  reservations.set(String(nextReservationId++), {
+    unitId: String(Math.floor(courtId / 100)),
+    courtId,
+    court: courtId % 100,
+    startTime,
+    endTime: params.get('court_invitation[end_time]'),
+  });
+  return jQueryHtml('#step-3', `<div class="alert alert-success">ההזמנה בוצעה בהצלחה! <strong>${startTime}</strong></div>`);
+}
+
+function myInvitationsPage(authenticityToken) {
+  const rows = [...reservations.entries()].map(([id, reservation]) => {
+    const [date, startHour] = reservation.startTime.split(' ');
+    const endHour = reservation.endTime.split(' ')[1];
+    return `<tr data-invitation-id="${id}">
+<td>${UNIT_NAMES[reservation.unitId] || `מרכז ${reservation.unitId}`}</td>
+<td>מגרש ${reservation.court}</td>
+<td>${date}</td>
+<td>${startHour}-${endHour}</td>
+<td><form action="/self_services/cancel_invitation.js" method="post" data-remote="true">
+<input type="hidden" name="authenticity_token" value="${authenticityToken}">
+<input type="hidden" name="invitation_id" value="${id}">
+<button type="submit">ביטול</button>
+</form></td>
+</tr>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html><html><body>
+<table class="table">
+<tr><th>מרכז</th><th>מגרש</th><th>תאריך</th><th>שעה</th><th></th></tr>
+${rows}
+</table></body></html>`;
+}
+
+function cancelInvitation(params) {
+  if (!reservations.delete(params.get('invitation_id'))) {
+    return jQueryHtml('#flash', '<div class="alert alert-danger">ההזמנה לא נמצאה</div>');
+  }
+  return jQueryHtml('#flash', '<div class="alert alert-success">ההזמנה בוטלה</div>');
+}
+
+function setTimeByUnit(params) {
+  const [year, month, day] = params.get('date').split('-');
+  const options = getOpeningHours(params.get('unit_id'), `${day}/${month}/${year}`)
+    .map((hour) => `<option value="${formatHour(hour)}">${formatHour(hour)}</option>`)
+    .join('');
+  return jQueryHtml('#search_start_hour', options);
+}
+
+/**
+ * Resolve the session of a request from its cookie
+ */
+function getSession(request) {
+  const match = (request.headers.cookie || '').match(/_session_id=([^;]+)/);
+  if (!match) return null;
+
+  const session = sessions.get(match[1]);
+  if (session && SESSION_TTL && Date.now() - session.createdAt > SESSION_TTL * 1000) {
+    sessions.delete(match[1]);
+    return null;
+  }
+  return { id: match[1], ...session };
+}
+
+function newSession(loggedIn) {
+  const id = randomUUID().replace(/-/g, '');
+  const session = { loggedIn, authenticityToken: randomUUID(), createdAt: Date.now() };
+  sessions.set(id, session);
+  return { id, ...session };
+}
+
+async function readBody(request) {
+  let body = '';
+  for await (const chunk of request) {
+    body += chunk;
+  }
+  return new URLSearchParams(body);
+}
+
+const server = createServer(async (request, response) => {
+  const url = new URL(request.url, `http://localhost:${PORT}`);
+  const params = request.method === 'POST' ? await readBody(request) : url.searchParams;
+  let session = getSession(request);
+
+  const send = (status, body, contentType = 'text/html; charset=utf-8', headers = {}) => {
+    response.writeHead(status, { 'Content-Type': contentType, ...headers });
+    response.end(body);
+  };
+  const sendJs = (body, headers) => send(200, body, 'text/javascript; charset=utf-8', headers);
+
+  console.log(`${request.method} ${url.pathname}`);
+
+  switch (`${request.method} ${url.pathname}`) {
+    case 'GET /self_services/login': {
+      session = session?.authenticityToken ? session : newSession(false);
+      return send(200, loginPage(session.authenticityToken), undefined, {
+        'Set-Cookie': `_session_id=${session.id}; path=/; HttpOnly`,
+      });
+    }
+    case 'POST /self_services/login.js': {
+      if (!params.get('login') || !params.get('p_id')) {
+        return send(401, "alert('פרטי ההתחברות שגויים');", 'text/javascript; charset=utf-8');
+      }
+      const loggedIn = newSession(true);
+      return sendJs("window.location.href = '/self_services/court_invitation';", {
+        'Set-Cookie': `_session_id=${loggedIn.id}; path=/; HttpOnly`,
+      });
+    }
+  }
+
+  // Everything else requires a logged-in session
+  if (!session?.loggedIn) {
+    return send(200, "<script>window.location.href = '/self_services/login';</script>");
+  }
+
+  switch (`${request.method} ${url.pathname}`) {
+    case 'GET /self_services/court_invitation':
+      return send(200, courtInvitationPage(session.authenticityToken, url.searchParams.get('unit_id')));
+    case 'POST /self_services/set_time_by_unit':
+      if (Math.random() < TIME_SLOTS_ERROR_RATE) {
+        return send(503, 'Service Unavailable', 'text/plain');
+      }
+      return sendJs(setTimeByUnit(params));
+    case 'POST /self_services/search_court.js':
+      await new Promise((resolve) => setTimeout(resolve, DELAY_MS));
+      if (Math.random() < ERROR_RATE) {
+        return send(503, 'Service Unavailable', 'text/plain');
+      }
+      return sendJs(searchCourt(params));
+    case 'GET /self_services/court_invitation_confirm':
+      return send(200, courtInvitationConfirmPage(session.authenticityToken, url.searchParams));
+    case 'POST /self_services/create_court_invitation.js':
+      return sendJs(createCourtInvitation(params));
+    case 'GET /self_services/my_invitations':
+      return send(200, myInvitationsPage(session.authenticityToken));
+    case 'POST /self_services/cancel_invitation.js':
+      return sendJs(cancelInvitation(params));
+    default:
+      return send(404, 'Not Found', 'text/plain');
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock upstream listening on http://localhost:${PORT}`);
+});
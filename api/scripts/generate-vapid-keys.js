@@ -0,0 +1,20 @@
+/**
+ * Generate a VAPID key pair for Web Push
+ *
+ * The public key goes in wrangler.toml (VAPID_PUBLIC_KEY); the private key is a
+ * secret: `npx wrangler secret put VAPID_PRIVATE_KEY`
+ */
+
+import { webcrypto } from 'node:crypto';
+
+const { publicKey, privateKey } = await webcrypto.subtle.generateKey(
+  { name: 'ECDSA', namedCurve: 'P-256' },
+  true,
+  ['sign', 'verify']
+);
+
+const rawPublicKey = Buffer.from(await webcrypto.subtle.exportKey('raw', publicKey));
+const { d } = await webcrypto.subtle.exportKey('jwk', privateKey);
+
+console.log(`VAPID_PUBLIC_KEY=${rawPublicKey.toString('base64url')}`);
+console.log(`VAPID_PRIVATE_KEY=${d}`);
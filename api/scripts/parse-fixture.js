@@ -0,0 +1,53 @@
+/**
+ * Print what the shared parsers make of upstream responses
+ * A debugging aid; the expected results are checked by test/html-parser.test.js (npm test)
+ *
+ *   npm run parse-fixture                                # every file in fixtures/
+ *   npm run parse-fixture -- fixtures/search-error.js    # one file
+ *
+ * The parser is chosen by the fixture's name, so a new fixture only needs a
+ * matching prefix.
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import { basename, dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  extractAuthenticityToken,
+  isLoginPage,
+  parseActionResult,
+  parseCourtAvailability,
+  parseCourtTypes,
+  parseReservations,
+  parseTimeSlots,
+  parseUnits,
+} from '../../public/html-parser.js';
+
+const PARSERS = [
+  ['search-', parseCourtAvailability],
+  ['set-time-by-unit', parseTimeSlots],
+  ['create-invitation-', parseActionResult],
+  ['cancel-invitation-', parseActionResult],
+  ['my-invitations', parseReservations],
+  ['court-invitation', (text) => ({
+    authenticityToken: extractAuthenticityToken(text),
+    units: parseUnits(text),
+    courtTypes: parseCourtTypes(text),
+  })],
+  ['', (text) => ({ isLoginPage: isLoginPage(text), authenticityToken: extractAuthenticityToken(text) })],
+];
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+const files = process.argv.length > 2
+  ? process.argv.slice(2)
+  : (await readdir(fixturesDir)).sort().map((name) => join(fixturesDir, name));
+
+for (const file of files) {
+  const name = basename(file);
+  const [, parse] = PARSERS.find(([prefix]) => name.startsWith(prefix));
+  const text = await readFile(file, 'utf8');
+
+  console.log(`${name}${isLoginPage(text) ? ' (login page)' : ''}`);
+  console.log(JSON.stringify(parse(text), null, 2));
+  console.log();
+}
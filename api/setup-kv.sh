@@ -1,8 +1,8 @@
 #!/bin/bash
 
-# Setup script for Cloudflare Worker KV namespace
+# Setup script for Cloudflare Worker KV namespaces and the D1 database
 
-echo "🚀 Setting up Cloudflare Worker KV namespace..."
+echo "🚀 Setting up Cloudflare Worker KV namespaces and D1 database..."
 echo ""
 
 cd api
@@ -13,36 +13,101 @@ if ! command -v wrangler &> /dev/null; then
     npm install -g wrangler
 fi
 
-echo "📦 Creating KV namespace for court availability cache..."
-echo ""
+# Write an ID over a placeholder in wrangler.toml
+replace_placeholder() {
+    PLACEHOLDER=$1
+    ID=$2
 
-# Create the KV namespace
-OUTPUT=$(npx wrangler kv namespace create "COURTS_CACHE" 2>&1)
+    if [[ "$OSTYPE" == "darwin"* ]]; then
+        # macOS
+        sed -i '' "s/$PLACEHOLDER/$ID/" wrangler.toml
+    else
+        # Linux
+        sed -i "s/$PLACEHOLDER/$ID/" wrangler.toml
+    fi
+}
 
-echo "$OUTPUT"
-echo ""
+# Create a KV namespace and write its ID over a placeholder in wrangler.toml
+create_namespace() {
+    BINDING=$1
+    PLACEHOLDER=$2
 
-# Extract the namespace ID from the output
-NAMESPACE_ID=$(echo "$OUTPUT" | grep -oE 'id = "[a-z0-9]+"' | grep -oE '[a-z0-9]{32}')
+    # Skip namespaces that already have an ID in wrangler.toml
+    if ! grep -q "$PLACEHOLDER" wrangler.toml; then
+        echo "✅ $BINDING already configured, skipping"
+        echo ""
+        return
+    fi
 
-if [ -z "$NAMESPACE_ID" ]; then
-    echo "⚠️  Could not automatically extract namespace ID."
-    echo "Please manually update wrangler.toml with the ID shown above."
-    exit 1
-fi
+    echo "📦 Creating KV namespace $BINDING..."
+    echo ""
 
-echo "✅ Namespace created with ID: $NAMESPACE_ID"
-echo ""
-echo "📝 Updating wrangler.toml..."
-
-# Update wrangler.toml with the actual namespace ID
-if [[ "$OSTYPE" == "darwin"* ]]; then
-    # macOS
-    sed -i '' "s/YOUR_KV_NAMESPACE_ID/$NAMESPACE_ID/" wrangler.toml
-else
-    # Linux
-    sed -i "s/YOUR_KV_NAMESPACE_ID/$NAMESPACE_ID/" wrangler.toml
-fi
+    # Create the KV namespace
+    OUTPUT=$(npx wrangler kv namespace create "$BINDING" 2>&1)
+
+    echo "$OUTPUT"
+    echo ""
+
+    # Extract the namespace ID from the output
+    NAMESPACE_ID=$(echo "$OUTPUT" | grep -oE 'id = "[a-z0-9]+"' | grep -oE '[a-z0-9]{32}')
+
+    if [ -z "$NAMESPACE_ID" ]; then
+        echo "⚠️  Could not automatically extract namespace ID."
+        echo "Please manually update wrangler.toml with the ID shown above."
+        exit 1
+    fi
+
+    echo "✅ Namespace created with ID: $NAMESPACE_ID"
+    echo ""
+    echo "📝 Updating wrangler.toml..."
+    replace_placeholder "$PLACEHOLDER" "$NAMESPACE_ID"
+}
+
+# Create the D1 database, write its ID into wrangler.toml and apply the migrations
+create_database() {
+    DATABASE=$1
+    PLACEHOLDER=$2
+
+    if grep -q "$PLACEHOLDER" wrangler.toml; then
+        echo "📦 Creating D1 database $DATABASE..."
+        echo ""
+
+        OUTPUT=$(npx wrangler d1 create "$DATABASE" 2>&1)
+
+        echo "$OUTPUT"
+        echo ""
+
+        # Extract the database ID (a UUID) from the output
+        DATABASE_ID=$(echo "$OUTPUT" | grep -oE '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}' | head -n 1)
+
+        if [ -z "$DATABASE_ID" ]; then
+            echo "⚠️  Could not automatically extract database ID."
+            echo "Please manually update wrangler.toml with the ID shown above."
+            exit 1
+        fi
+
+        echo "✅ Database created with ID: $DATABASE_ID"
+        echo ""
+        echo "📝 Updating wrangler.toml..."
+        replace_placeholder "$PLACEHOLDER" "$DATABASE_ID"
+    else
+        echo "✅ $DATABASE already configured, skipping creation"
+    fi
+
+    echo ""
+    echo "📦 Applying migrations to $DATABASE..."
+    npx wrangler d1 migrations apply "$DATABASE" --remote || exit 1
+    echo ""
+}
+
+# Court availability cache
+create_namespace "COURTS_CACHE" "YOUR_KV_NAMESPACE_ID"
+
+# Per-user data (availability watches)
+create_namespace "USER_DATA" "YOUR_USER_DATA_NAMESPACE_ID"
+
+# Availability snapshots behind /api/analytics
+create_database "tennis-history" "YOUR_HISTORY_DATABASE_ID"
 
 echo "✅ wrangler.toml updated successfully!"
 echo ""
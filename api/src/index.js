@@ -4,9 +4,26 @@
  * This worker acts as a proxy to overcome CORS restrictions when accessing
  * center.tennis.org.il from the GitHub Pages frontend.
  * It also manages session cookies server-side since cross-origin cookie sharing
- * is blocked by browsers.
+ * is blocked by browsers: the upstream cookie and CSRF token stay in KV and the
+ * client only holds an opaque X-Auth-Token.
  */
 
+import { sendPushNotification } from './push.js';
+import { UpstreamScheduler, getSchedulerConfig } from './scheduler.js';
+import {
+  extractAuthenticityToken,
+  isLoginPage,
+  parseActionResult,
+  parseCourtAvailability,
+  parseCourtTypes,
+  parseReservations,
+  parseReservationsLink,
+  parseSubmitForm,
+  parseTimeSlots,
+  parseUnits,
+} from '../../public/html-parser.js';
+import { fitsOpeningHours, getValidTimeSlots, learnOpeningHours } from '../../public/utils.js';
+
 // Whitelist of allowed paths
 const ALLOWED_PATHS = [
   '/self_services/login',
@@ -16,8 +33,60 @@ const ALLOWED_PATHS = [
   '/self_services/search_court.js'
 ];
 
-// Cache TTL in seconds (10 minutes)
-const CACHE_TTL = 600;
+// Seconds a cached slot result stays fresh, by how many hours ahead the slot starts:
+// near-term slots are booked and freed far more often than slots a week out
+const SLOT_CACHE_TTLS = [
+  { withinHours: 24, ttl: 120 },
+  { withinHours: 72, ttl: 600 },
+  { withinHours: Infinity, ttl: 1800 },
+];
+
+// Stale slot results are still served (while being refreshed) up to this many TTLs old
+const STALE_TTL_FACTOR = 6;
+
+const SLOT_CACHE_PREFIX = 'courts';
+
+// Session token TTL in seconds (1 hour)
+const SESSION_TTL = 3600;
+
+// Booking lengths (hours) the site accepts as search[duration]
+const SEARCH_DURATIONS = ['1', '1.5', '2'];
+
+// search[court_type] of tennis courts, the type searched unless another is asked for
+const DEFAULT_COURT_TYPE = '1';
+
+// Court types TTL in seconds (1 day)
+const COURT_TYPES_TTL = 86400;
+
+// Learned opening hours TTL in seconds (30 days); they are learned again after that
+const OPENING_HOURS_TTL = 30 * 86400;
+
+// Tennis centers (units of the search form) TTL in seconds (1 day)
+const CENTERS_CACHE_KEY = 'centers';
+const CENTERS_TTL = 86400;
+
+// Path of the reservations page, as linked from the search form's navigation, TTL in seconds (1 day)
+const RESERVATIONS_PATH_CACHE_KEY = 'reservations-path';
+const RESERVATIONS_PATH_TTL = 86400;
+
+// Number of fired events kept per watch
+const MAX_WATCH_EVENTS = 20;
+
+// Push subscriptions TTL in seconds (30 days); the app renews them whenever it shows them
+const PUSH_SUBSCRIPTION_TTL = 30 * 86400;
+
+// Seconds between the re-scans a search coordinator runs for subscribed clients
+const RESCAN_INTERVAL = 60;
+
+// Seconds an idle search coordinator keeps its results for clients resuming a dropped stream
+const RESUME_WINDOW = 120;
+
+// Days of availability history the analytics cover, and how long snapshots are kept
+const HISTORY_WINDOW_DAYS = 60;
+const HISTORY_RETENTION_DAYS = 120;
+
+// Snapshots a lead time needs before the analytics judge how often it was free
+const MIN_HISTORY_SAMPLES = 3;
 
 export default {
   async fetch(request, env) {
@@ -42,11 +111,90 @@ export default {
     
     const allowedOrigin = origin || allowedOrigins[0];
     
+    // Handle login and logout endpoints
+    if (url.pathname === '/api/login' && request.method === 'POST') {
+      return handleLogin(request, env, allowedOrigin);
+    }
+    
+    if (url.pathname === '/api/logout' && request.method === 'POST') {
+      return handleLogout(request, env, allowedOrigin);
+    }
+    
+    // Handle tennis centers endpoint
+    if (url.pathname === '/api/centers' && request.method === 'GET') {
+      return handleCenters(request, env, allowedOrigin);
+    }
+    
+    // Handle court types endpoint
+    if (url.pathname === '/api/court-types' && request.method === 'GET') {
+      return handleCourtTypes(request, env, allowedOrigin);
+    }
+    
     // Handle court search endpoint (streaming with SSE)
     if (url.pathname === '/api/search-courts' && request.method === 'POST') {
       return handleStreamingCourtSearch(request, env, allowedOrigin);
     }
     
+    // Handle single time slot search endpoint (retrying one slot of a search)
+    if (url.pathname === '/api/search-slot' && request.method === 'POST') {
+      return handleSlotSearch(request, env, allowedOrigin);
+    }
+    
+    // Handle multi-center court search endpoint (streaming with SSE)
+    if (url.pathname === '/api/search-centers' && request.method === 'POST') {
+      return handleMultiCenterSearch(request, env, allowedOrigin);
+    }
+    
+    // Handle date-range scan endpoint (streaming with SSE)
+    if (url.pathname === '/api/scan-dates' && request.method === 'POST') {
+      return handleDateRangeScan(request, env, allowedOrigin);
+    }
+    
+    // Handle court booking endpoint
+    if (url.pathname === '/api/book' && request.method === 'POST') {
+      return handleBookCourt(request, env, allowedOrigin);
+    }
+    
+    // Handle reservations endpoints
+    if (url.pathname === '/api/reservations' && request.method === 'GET') {
+      return handleListReservations(request, env, allowedOrigin);
+    }
+    
+    if (url.pathname === '/api/reservations/cancel' && request.method === 'POST') {
+      return handleCancelReservation(request, env, allowedOrigin);
+    }
+    
+    // Handle availability analytics endpoint
+    if (url.pathname === '/api/analytics' && request.method === 'GET') {
+      return handleAnalytics(request, env, allowedOrigin);
+    }
+    
+    // Handle availability watch endpoints
+    if (url.pathname === '/api/watches' && request.method === 'GET') {
+      return handleListWatches(request, env, allowedOrigin);
+    }
+    
+    if (url.pathname === '/api/watches' && request.method === 'POST') {
+      return handleCreateWatch(request, env, allowedOrigin);
+    }
+    
+    if (url.pathname.startsWith('/api/watches/') && request.method === 'DELETE') {
+      return handleDeleteWatch(request, env, allowedOrigin, url.pathname.slice('/api/watches/'.length));
+    }
+    
+    // Handle Web Push endpoints
+    if (url.pathname === '/api/push/public-key' && request.method === 'GET') {
+      return handlePushPublicKey(env, allowedOrigin);
+    }
+    
+    if (url.pathname === '/api/push/subscribe' && request.method === 'POST') {
+      return handlePushSubscribe(request, env, allowedOrigin);
+    }
+    
+    if (url.pathname === '/api/push/unsubscribe' && request.method === 'POST') {
+      return handlePushUnsubscribe(request, env, allowedOrigin);
+    }
+    
     // Extract the path after /proxy/
     const path = url.pathname.replace(/^\/proxy/, '');
     
@@ -64,8 +212,13 @@ export default {
     const targetUrl = `${targetBaseUrl}${path}${url.search}`;
     
     try {
-      // Get the session cookie from the client's request (if any)
-      const clientSessionCookie = request.headers.get('X-Session-Cookie');
+      // Get the upstream session behind the client's token (if any); a token whose
+      // session is gone has expired, and forwarding it without a cookie would only get
+      // the login page back
+      const session = await getSession(request, env);
+      if (request.headers.get('X-Auth-Token') && !session) {
+        return sessionExpiredResponse(allowedOrigin);
+      }
       
       // Create headers for the target request
       const targetHeaders = new Headers();
@@ -74,14 +227,15 @@ export default {
       for (const [key, value] of request.headers.entries()) {
         if (key.toLowerCase() !== 'origin' && 
             key.toLowerCase() !== 'host' &&
-            key.toLowerCase() !== 'x-session-cookie') {
+            key.toLowerCase() !== 'cookie' &&
+            key.toLowerCase() !== 'x-auth-token') {
           targetHeaders.set(key, value);
         }
       }
       
-      // If client provided a session cookie, use it
-      if (clientSessionCookie) {
-        targetHeaders.set('Cookie', clientSessionCookie);
+      // If the client is logged in, use its session cookie
+      if (session) {
+        targetHeaders.set('Cookie', session.sessionId);
       }
       
       // Forward the request to the target server
@@ -94,8 +248,19 @@ export default {
       // Make the request
       const response = await fetch(proxyRequest);
       
-      // Extract any Set-Cookie headers from the response
-      const setCookieHeaders = response.headers.get('set-cookie');
+      // Getting the login page back from anything but the login paths means the
+      // session expired upstream (or there was none)
+      const contentType = response.headers.get('Content-Type') || '';
+      let body = response.body;
+      if (!path.startsWith('/self_services/login') && /html|javascript/.test(contentType)) {
+        body = await response.text();
+        if (isLoggedOutResponse(response, body)) {
+          if (session) {
+            await expireSession(request, env);
+          }
+          return sessionExpiredResponse(allowedOrigin);
+        }
+      }
       
       // Create response headers
       const responseHeaders = new Headers();
@@ -110,21 +275,10 @@ export default {
       // Add CORS headers
       responseHeaders.set('Access-Control-Allow-Origin', allowedOrigin);
       responseHeaders.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-      responseHeaders.set('Access-Control-Allow-Headers', 'Content-Type, X-Session-Cookie');
-      responseHeaders.set('Access-Control-Expose-Headers', 'X-Session-Cookie');
-      
-      // If the server set cookies, send them back in a custom header
-      // that JavaScript can read
-      if (setCookieHeaders) {
-        // Extract just the session ID cookie
-        const sessionMatch = setCookieHeaders.match(/_session_id=([^;]+)/);
-        if (sessionMatch) {
-          responseHeaders.set('X-Session-Cookie', `_session_id=${sessionMatch[1]}`);
-        }
-      }
+      responseHeaders.set('Access-Control-Allow-Headers', 'Content-Type, X-Auth-Token');
       
       // Create a new response
-      const newResponse = new Response(response.body, {
+      const newResponse = new Response(body, {
         status: response.status,
         statusText: response.statusText,
         headers: responseHeaders,
@@ -135,6 +289,14 @@ export default {
       console.error('Proxy error:', error);
       return new Response(`Proxy Error: ${error.message}`, { status: 500 });
     }
+  },
+  
+  /**
+   * Cron Trigger: re-check every availability watch
+   */
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(checkWatches(env));
+    ctx.waitUntil(pruneHistory(env));
   }
 };
 
@@ -156,271 +318,2102 @@ function handleCORS(env, request) {
     headers: {
       'Access-Control-Allow-Origin': allowedOrigin,
       'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, X-Session-Cookie, X-Auth-Token',
+      'Access-Control-Allow-Headers': 'Content-Type, X-Auth-Token, X-Client-Id, Last-Event-ID',
       'Access-Control-Max-Age': '86400',
     },
   });
 }
 
 /**
- * Handle streaming court search request using Server-Sent Events
- * Streams results as they arrive for better perceived performance
+ * Handle login request
+ * Logs in to the upstream site and keeps its session cookie and CSRF token in KV,
+ * returning only an opaque token for the X-Auth-Token header. The session is tagged
+ * with its owner (a hash of the login), who owns watches across sessions.
  */
-async function handleStreamingCourtSearch(request, env, allowedOrigin) {
+async function handleLogin(request, env, allowedOrigin) {
   try {
-    const body = await request.json();
-    const { unitId, date, timeSlots, sessionId, authenticityToken } = body;
+    const { email, userId } = await request.json();
     
-    if (!unitId || !date || !timeSlots || !sessionId || !authenticityToken) {
+    if (!email || !userId) {
       return jsonResponse(
-        { error: 'Missing required parameters: unitId, date, timeSlots, sessionId, authenticityToken' },
+        { error: 'Missing required parameters: email, userId' },
         { status: 400, allowedOrigin }
       );
     }
     
-    // Check cache first
-    const cacheKey = `courts:${unitId}:${date}`;
-    if (env.COURTS_CACHE) {
-      const cached = await env.COURTS_CACHE.get(cacheKey, 'json');
-      if (cached) {
-        console.log(`Cache hit for ${cacheKey}`);
-        // For cached data, send it all at once
-        return jsonResponse(
-          { ...cached, cached: true },
-          { allowedOrigin }
-        );
-      }
+    if (!env.USER_DATA) {
+      return jsonResponse({ error: 'Sessions are not configured' }, { status: 501, allowedOrigin });
     }
     
-    // Create a TransformStream for SSE
-    const { readable, writable } = new TransformStream();
-    const writer = writable.getWriter();
-    const encoder = new TextEncoder();
+    const session = {
+      ...await loginUpstream(env, email, userId),
+      owner: await getOwnerId(email, userId),
+      createdAt: Date.now(),
+    };
     
-    // Start streaming in the background
-    (async () => {
-      const results = {};
-      const targetBaseUrl = env.TARGET_BASE_URL || 'https://center.tennis.org.il';
-      
-      const batchSize = 2; 
-      const delayBetweenBatches = 50; 
-      
-      try {
-        for (let i = 0; i < timeSlots.length; i += batchSize) {
-          const batch = timeSlots.slice(i, i + batchSize);
-          
-          const batchPromises = batch.map(async (timeSlot) => {
-            const formData = new URLSearchParams();
-            formData.append('utf8', '✓');
-            formData.append('authenticity_token', authenticityToken);
-            formData.append('search[unit_id]', unitId);
-            formData.append('search[court_type]', '1');
-            formData.append('search[start_date]', date);
-            formData.append('search[start_hour]', timeSlot);
-            formData.append('search[duration]', '1');
-            
-            try {
-              const response = await fetch(`${targetBaseUrl}/self_services/search_court.js`, {
-                method: 'POST',
-                headers: {
-                  'Content-Type': 'application/x-www-form-urlencoded',
-                  'Cookie': sessionId,
-                },
-                body: formData.toString(),
-              });
-              
-              if (!response.ok) {
-                return { timeSlot, error: `HTTP ${response.status}` };
-              }
-              
-              const responseText = await response.text();
-              const availability = parseCourtAvailability(responseText);
-              
-              return { timeSlot, availability };
-            } catch (error) {
-              return { timeSlot, error: error.message };
-            }
-          });
-          
-          const batchResults = await Promise.all(batchPromises);
-          
-          // Stream each result as it becomes available
-          for (const { timeSlot, availability, error } of batchResults) {
-            if (error) {
-              results[timeSlot] = { status: 'error', error };
-            } else {
-              results[timeSlot] = availability;
-            }
-            
-            // Send SSE event for this time slot
-            const eventData = {
-              type: 'result',
-              timeSlot,
-              data: results[timeSlot]
-            };
-            
-            await writer.write(
-              encoder.encode(`data: ${JSON.stringify(eventData)}\n\n`)
-            );
-          }
-          
-          // Small delay between batches to avoid overwhelming the server
-          if (i + batchSize < timeSlots.length) {
-            await new Promise((resolve) => setTimeout(resolve, delayBetweenBatches));
-          }
-        }
-        
-        // Send completion event
-        const completeData = {
-          type: 'complete',
-          unitId,
-          date,
-          results
-        };
-        
-        await writer.write(
-          encoder.encode(`data: ${JSON.stringify(completeData)}\n\n`)
-        );
-        
-        // Cache the complete results
-        if (env.COURTS_CACHE) {
-          const cacheData = { unitId, date, results, cached: false };
-          await env.COURTS_CACHE.put(
-            cacheKey,
-            JSON.stringify(cacheData),
-            { expirationTtl: CACHE_TTL }
-          );
-          console.log(`Cached results for ${cacheKey}`);
-        }
-      } catch (error) {
-        console.error('Streaming error:', error);
-        const errorData = {
-          type: 'error',
-          error: error.message
-        };
-        await writer.write(
-          encoder.encode(`data: ${JSON.stringify(errorData)}\n\n`)
-        );
-      } finally {
-        await writer.close();
-      }
-    })();
+    const token = generateToken();
+    await env.USER_DATA.put(`session:${token}`, JSON.stringify(session), { expirationTtl: SESSION_TTL });
+    await bindOwnerSession(env, token, session);
     
-    // Return SSE response
-    return new Response(readable, {
-      headers: {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': allowedOrigin,
-        'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type, X-Session-Cookie, X-Auth-Token',
-      },
-    });
+    return jsonResponse({ token, expiresIn: SESSION_TTL }, { allowedOrigin });
   } catch (error) {
-    console.error('Stream setup error:', error);
+    console.error('Login error:', error);
     return jsonResponse(
-      { error: `Stream setup error: ${error.message}` },
-      { status: 500, allowedOrigin }
+      { error: error.message },
+      { status: 401, allowedOrigin }
     );
   }
 }
 
 /**
- * Parse court availability from HTML response
+ * Handle logout request: forget the session behind the token
  */
-function parseCourtAvailability(response) {
-  const html = extractHtmlFromResponse(response);
+async function handleLogout(request, env, allowedOrigin) {
+  await expireSession(request, env);
+  return jsonResponse({ loggedOut: true }, { allowedOrigin });
+}
 
-  if (isNoCourtsAvailable(html)) {
-    const suggestedTimes = parseSuggestedTimes(html);
-    return {
-      status: "no-courts",
-      courts: [],
-      slots: [],
-      suggestedTimes: suggestedTimes.length > 0 ? suggestedTimes : undefined,
-    };
+/**
+ * Log in to the upstream site: login page -> login.js -> court_invitation
+ * Returns { sessionId, authenticityToken } for the logged-in session
+ */
+async function loginUpstream(env, email, userId) {
+  const targetBaseUrl = env.TARGET_BASE_URL || 'https://center.tennis.org.il';
+  
+  // First, get a session and the authenticity token from the login page
+  const loginPageResponse = await fetch(`${targetBaseUrl}/self_services/login`);
+  const loginPageCookie = extractSessionCookie(loginPageResponse);
+  const loginToken = extractAuthenticityToken(await loginPageResponse.text());
+  if (!loginToken) {
+    throw new Error('Failed to get authenticity token');
   }
+  
+  const formData = new URLSearchParams();
+  formData.append('utf8', '✓');
+  formData.append('authenticity_token', loginToken);
+  formData.append('login', email);
+  formData.append('p_id', userId);
+  
+  // Perform login
+  const loginHeaders = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (loginPageCookie) {
+    loginHeaders['Cookie'] = loginPageCookie;
+  }
+  const loginResponse = await fetch(`${targetBaseUrl}/self_services/login.js`, {
+    method: 'POST',
+    headers: loginHeaders,
+    body: formData.toString(),
+  });
+  const loginText = await loginResponse.text();
+  
+  // Check if login was successful by looking for the redirect in the response
+  if (!loginText.includes('window.location.href') && !loginResponse.ok) {
+    throw new Error('Login failed - invalid credentials');
+  }
+  
+  const sessionId = extractSessionCookie(loginResponse);
+  if (!sessionId) {
+    throw new Error('Failed to get session cookie from login response');
+  }
+  
+  // Get a fresh authenticity token for subsequent requests
+  const courtInvitationResponse = await fetch(`${targetBaseUrl}/self_services/court_invitation`, {
+    headers: {
+      'Cookie': sessionId,
+    },
+  });
+  
+  if (!courtInvitationResponse.ok) {
+    throw new Error('Failed to verify authentication');
+  }
+  
+  const html = await courtInvitationResponse.text();
+  
+  // If the page redirects to login, authentication failed
+  if (isLoggedOutResponse(courtInvitationResponse, html)) {
+    throw new Error('Authentication verification failed');
+  }
+  
+  const authenticityToken = extractAuthenticityToken(html);
+  if (!authenticityToken) {
+    throw new Error('Failed to get authenticity token after login');
+  }
+  
+  return { sessionId, authenticityToken };
+}
 
-  const slots = parseCourtSlots(html);
-  const courts = [...new Set(slots.map((s) => s.courtNumber))].sort((a, b) => a - b);
-
-  if (slots.length === 0) {
-    return {
-      status: "no-courts",
-      courts: [],
-      slots: [],
-    };
+/**
+ * Get the upstream session ({ sessionId, authenticityToken, owner }) behind a request's X-Auth-Token
+ * A live session whose owner's watches have none (it was logged out elsewhere) takes them over
+ */
+async function getSession(request, env) {
+  const token = request.headers.get('X-Auth-Token');
+  if (!token || !env.USER_DATA) {
+    return null;
+  }
+  
+  const session = await env.USER_DATA.get(`session:${token}`, 'json');
+  // A session without its CSRF token cannot search or book
+  if (!session || !session.authenticityToken) {
+    return null;
+  }
+  
+  if (!(await env.USER_DATA.get(`owner-session:${session.owner}`))) {
+    await bindOwnerSession(env, token, session);
   }
+  return session;
+}
 
-  return {
-    status: "available",
-    courts,
-    slots,
-  };
+/**
+ * Forget the session behind a request's X-Auth-Token, on logout or once the upstream
+ * site logged it out
+ */
+async function expireSession(request, env) {
+  const token = request.headers.get('X-Auth-Token');
+  if (token && env.USER_DATA) {
+    await forgetSession(env, token);
+  }
 }
 
 /**
- * Check if the response indicates no courts available
+ * Delete a session, and its owner's pointer to it so watches stop using it
  */
-function isNoCourtsAvailable(html) {
-  if (html.includes("alert-success")) {
-    return false;
+async function forgetSession(env, token) {
+  const session = await env.USER_DATA.get(`session:${token}`, 'json');
+  await env.USER_DATA.delete(`session:${token}`);
+  
+  if (session && (await env.USER_DATA.get(`owner-session:${session.owner}`)) === token) {
+    await env.USER_DATA.delete(`owner-session:${session.owner}`);
   }
-  return html.includes("מועדים אחרים") || html.includes("alert-danger") || html.includes("נסה מועד אחר");
 }
 
 /**
- * Parse court slots from HTML response
+ * Point the owner's watches at a session (by token, never copying its cookie), for as
+ * long as the session lives
  */
-function parseCourtSlots(html) {
-  const slots = [];
-  const rowRegex = /מגרש:\s*(\d+)[\s\S]*?court_id=(\d+)&amp;duration=([\d.]+)&amp;end_time=([^&]+)&amp;start_time=([^"&]+)/g;
+async function bindOwnerSession(env, token, session) {
+  const expiration = Math.floor(session.createdAt / 1000) + SESSION_TTL;
+  // KV expirations must be at least a minute away
+  if (!session.owner || expiration - Date.now() / 1000 < 60) return;
+  
+  await env.USER_DATA.put(`owner-session:${session.owner}`, token, { expiration });
+}
 
-  let match;
-  while ((match = rowRegex.exec(html)) !== null) {
-    slots.push({
-      courtNumber: parseInt(match[1], 10),
-      courtId: parseInt(match[2], 10),
-      duration: parseFloat(match[3]),
-      endTime: decodeURIComponent(match[4].replace(/\+/g, " ")),
-      startTime: decodeURIComponent(match[5].replace(/\+/g, " ")),
-    });
+/**
+ * The live session watches of an owner search with, or null
+ */
+async function getOwnerSession(env, owner) {
+  const token = await env.USER_DATA.get(`owner-session:${owner}`);
+  const session = token ? await env.USER_DATA.get(`session:${token}`, 'json') : null;
+  return session?.authenticityToken ? { token, session } : null;
+}
+
+/**
+ * Stable ID of a site login, so watches outlive the sessions they were created in
+ */
+async function getOwnerId(email, userId) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${email.trim().toLowerCase()}:${userId.trim()}`));
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Response for requests whose session token is missing or expired, or whose
+ * upstream session was logged out; the client logs in again and retries
+ */
+function sessionExpiredResponse(allowedOrigin) {
+  return jsonResponse(
+    { error: 'Session expired', code: 'session_expired' },
+    { status: 401, allowedOrigin }
+  );
+}
+
+/**
+ * Thrown when the upstream site answers as if the session were logged out
+ */
+class SessionExpiredError extends Error {
+  constructor() {
+    super('Session expired');
+    this.name = 'SessionExpiredError';
   }
+}
 
-  return slots;
+/**
+ * Check whether an upstream response belongs to a logged-out session:
+ * a redirect to the login page, a script sending the browser there, or the login page itself
+ */
+function isLoggedOutResponse(response, text) {
+  if (response.redirected && new URL(response.url).pathname.endsWith('/login')) {
+    return true;
+  }
+  return isLoginPage(text);
 }
 
 /**
- * Extract HTML content from jQuery response
+ * Resolve a link or form action the site gave us (relative to base) to a URL on the
+ * site's self_services pages, or null for anything else, so that links sent back by
+ * clients can't point the Worker at other paths or hosts
  */
-function extractHtmlFromResponse(response) {
-  const match = response.match(/jQuery\('#step-2'\)\.html\('([\s\S]*?)'\);/);
-  
-  if (!match) return "";
+function resolveSiteUrl(env, link, base = env.TARGET_BASE_URL || 'https://center.tennis.org.il') {
+  let url;
+  try {
+    url = new URL(link, base);
+  } catch {
+    return null;
+  }
   
-  return match[1]
-    .replace(/\\n/g, "")
-    .replace(/\\"/g, '"')
-    .replace(/\\\//g, "/");
+  const siteOrigin = new URL(env.TARGET_BASE_URL || 'https://center.tennis.org.il').origin;
+  return url.origin === siteOrigin && url.pathname.startsWith('/self_services/') ? url : null;
 }
 
 /**
- * Parse suggested alternative times from "no courts available" response
+ * Submit a form parsed from a site page (see readForm in html-parser.js) with the
+ * user's session, as the browser would; remote forms are sent the way rails-ujs sends
+ * them, and posts without a CSRF token get the session's, as rails-ujs adds it
+ * Resolves with null when the form points outside the site's self_services pages
  */
-function parseSuggestedTimes(html) {
-  const times = [];
-  const timeRegex = /<h3>(\d{2}:\d{2})-\d{2}:\d{2}<\/h3>/g;
+async function submitSiteForm(env, form, pageUrl, session) {
+  const url = resolveSiteUrl(env, form.action, pageUrl);
+  if (!url) return null;
   
-  let match;
-  while ((match = timeRegex.exec(html)) !== null) {
-    const startTime = match[1];
-    if (!times.includes(startTime)) {
-      times.push(startTime);
+  const headers = { 'Cookie': session.sessionId };
+  if (form.remote) {
+    headers['Accept'] = 'text/javascript, application/javascript';
+    headers['X-Requested-With'] = 'XMLHttpRequest';
+    headers['X-CSRF-Token'] = session.authenticityToken;
+  }
+  
+  const fields = new URLSearchParams(form.fields);
+  if (form.method !== 'post') {
+    fields.forEach((value, name) => url.searchParams.append(name, value));
+    return fetch(url, { headers });
+  }
+  
+  if (!fields.has('authenticity_token')) {
+    fields.append('authenticity_token', session.authenticityToken);
+  }
+  headers['Content-Type'] = 'application/x-www-form-urlencoded';
+  return fetch(url, {
+    method: 'POST',
+    headers,
+    body: fields.toString(),
+  });
+}
+
+/**
+ * Generate an opaque session token
+ */
+function generateToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Extract the _session_id cookie from an upstream response
+ */
+function extractSessionCookie(response) {
+  const setCookieHeaders = response.headers.get('set-cookie');
+  const sessionMatch = setCookieHeaders && setCookieHeaders.match(/_session_id=([^;]+)/);
+  return sessionMatch ? `_session_id=${sessionMatch[1]}` : null;
+}
+
+/**
+ * Handle court types request
+ * Reads the court types a unit rents from the upstream search form; cached for a day
+ */
+async function handleCourtTypes(request, env, allowedOrigin) {
+  try {
+    const unitId = new URL(request.url).searchParams.get('unitId');
+    if (!unitId) {
+      return jsonResponse(
+        { error: 'Missing required parameters: unitId' },
+        { status: 400, allowedOrigin }
+      );
+    }
+    
+    const cacheKey = `court-types:${unitId}`;
+    if (env.COURTS_CACHE) {
+      const cached = await env.COURTS_CACHE.get(cacheKey, 'json');
+      if (cached) {
+        return jsonResponse({ unitId, courtTypes: cached, cached: true }, { allowedOrigin });
+      }
+    }
+    
+    const session = await getSession(request, env);
+    if (!session) {
+      return sessionExpiredResponse(allowedOrigin);
+    }
+    
+    const courtTypes = parseCourtTypes(await fetchSearchForm(env, session, unitId));
+    if (courtTypes.length > 0 && env.COURTS_CACHE) {
+      await env.COURTS_CACHE.put(cacheKey, JSON.stringify(courtTypes), { expirationTtl: COURT_TYPES_TTL });
+    }
+    
+    return jsonResponse({ unitId, courtTypes }, { allowedOrigin });
+  } catch (error) {
+    if (error instanceof SessionExpiredError) {
+      await expireSession(request, env);
+      return sessionExpiredResponse(allowedOrigin);
+    }
+    console.error('Court types error:', error);
+    return jsonResponse(
+      { error: `Court types error: ${error.message}` },
+      { status: 500, allowedOrigin }
+    );
+  }
+}
+
+/**
+ * Handle tennis centers request
+ * Lists the units of the upstream search form as [{ id, name }]; cached for a day
+ */
+async function handleCenters(request, env, allowedOrigin) {
+  try {
+    if (env.COURTS_CACHE) {
+      const cached = await env.COURTS_CACHE.get(CENTERS_CACHE_KEY, 'json');
+      if (cached) {
+        return jsonResponse({ centers: cached, cached: true }, { allowedOrigin });
+      }
+    }
+    
+    const session = await getSession(request, env);
+    if (!session) {
+      return sessionExpiredResponse(allowedOrigin);
+    }
+    
+    const centers = parseUnits(await fetchSearchForm(env, session));
+    if (centers.length === 0) {
+      return jsonResponse(
+        { error: 'No tennis centers found on the search form' },
+        { status: 502, allowedOrigin }
+      );
+    }
+    
+    if (env.COURTS_CACHE) {
+      await env.COURTS_CACHE.put(CENTERS_CACHE_KEY, JSON.stringify(centers), { expirationTtl: CENTERS_TTL });
+    }
+    
+    return jsonResponse({ centers }, { allowedOrigin });
+  } catch (error) {
+    if (error instanceof SessionExpiredError) {
+      await expireSession(request, env);
+      return sessionExpiredResponse(allowedOrigin);
     }
+    console.error('Centers error:', error);
+    return jsonResponse(
+      { error: `Centers error: ${error.message}` },
+      { status: 500, allowedOrigin }
+    );
+  }
+}
+
+/**
+ * Fetch the court_invitation search form, optionally with a unit selected
+ * Throws SessionExpiredError if the session was logged out
+ */
+async function fetchSearchForm(env, session, unitId = null) {
+  const targetBaseUrl = env.TARGET_BASE_URL || 'https://center.tennis.org.il';
+  const query = unitId ? `?unit_id=${encodeURIComponent(unitId)}` : '';
+  const response = await fetch(`${targetBaseUrl}/self_services/court_invitation${query}`, {
+    headers: {
+      'Cookie': session.sessionId,
+    },
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
   }
   
-  return times;
+  const responseText = await response.text();
+  if (isLoggedOutResponse(response, responseText)) {
+    throw new SessionExpiredError();
+  }
+  return responseText;
+}
+
+/**
+ * Read the optional duration and courtType of a search request
+ * Returns { duration, courtType }, or { error } for values the site does not accept
+ */
+function parseSearchOptions(body) {
+  const duration = String(body.duration || '1');
+  const courtType = String(body.courtType || DEFAULT_COURT_TYPE);
+  
+  if (!SEARCH_DURATIONS.includes(duration)) {
+    return { error: `Invalid duration, expected one of: ${SEARCH_DURATIONS.join(', ')}` };
+  }
+  if (!/^\d+$/.test(courtType)) {
+    return { error: 'Invalid courtType' };
+  }
+  return { duration, courtType };
+}
+
+/**
+ * Handle streaming court search request using Server-Sent Events
+ * Streams results as they arrive for better perceived performance. The search runs
+ * in the SearchCoordinator of its unit, date, court type and duration, so identical
+ * searches started together share one upstream scan.
+ */
+async function handleStreamingCourtSearch(request, env, allowedOrigin) {
+  try {
+    const body = await request.json();
+    const { unitId, date, timeSlots } = body;
+    const { duration, courtType, error } = parseSearchOptions(body);
+    
+    if (!unitId || !date || !timeSlots) {
+      return jsonResponse(
+        { error: 'Missing required parameters: unitId, date, timeSlots' },
+        { status: 400, allowedOrigin }
+      );
+    }
+    
+    if (error) {
+      return jsonResponse({ error }, { status: 400, allowedOrigin });
+    }
+    
+    const session = await getSession(request, env);
+    if (!session) {
+      return sessionExpiredResponse(allowedOrigin);
+    }
+    
+    const coordinator = getSearchCoordinator(env, `${unitId}:${date}:${courtType}:${duration}`);
+    return coordinator.fetch(new Request('https://search-coordinator/search', {
+      method: 'POST',
+      headers: {
+        'X-Auth-Token': request.headers.get('X-Auth-Token'),
+      },
+      body: JSON.stringify({
+        unitId,
+        date,
+        courtType,
+        duration,
+        timeSlots,
+        session,
+        refresh: Boolean(body.refresh),
+        subscribe: Boolean(body.subscribe),
+        lastEventId: request.headers.get('Last-Event-ID'),
+        allowedOrigin,
+      }),
+    }));
+  } catch (error) {
+    console.error('Stream setup error:', error);
+    return jsonResponse(
+      { error: `Stream setup error: ${error.message}` },
+      { status: 500, allowedOrigin }
+    );
+  }
+}
+
+/**
+ * Handle a search of a single time slot
+ * Always searches the site (the result replaces the cached one) and answers with JSON:
+ * { unitId, date, timeSlot, courtType, duration, data }
+ */
+async function handleSlotSearch(request, env, allowedOrigin) {
+  try {
+    const body = await request.json();
+    const { unitId, date, timeSlot } = body;
+    const { duration, courtType, error } = parseSearchOptions(body);
+    
+    if (!unitId || !date || !timeSlot) {
+      return jsonResponse(
+        { error: 'Missing required parameters: unitId, date, timeSlot' },
+        { status: 400, allowedOrigin }
+      );
+    }
+    
+    if (error) {
+      return jsonResponse({ error }, { status: 400, allowedOrigin });
+    }
+    
+    const session = await getSession(request, env);
+    if (!session) {
+      return sessionExpiredResponse(allowedOrigin);
+    }
+    
+    const job = { unitId, date, timeSlot, courtType, duration };
+    let result;
+    try {
+      await searchSlotsCached(env, [job], session, { refresh: true, record: true }, (slotResult) => {
+        result = slotResult;
+      });
+    } catch (searchError) {
+      if (searchError instanceof SessionExpiredError) {
+        await expireSession(request, env);
+        return sessionExpiredResponse(allowedOrigin);
+      }
+      throw searchError;
+    }
+    
+    return jsonResponse(result, { allowedOrigin });
+  } catch (error) {
+    console.error('Slot search error:', error);
+    return jsonResponse(
+      { error: `Slot search error: ${error.message}` },
+      { status: 500, allowedOrigin }
+    );
+  }
+}
+
+/**
+ * Get the search coordinator for a search key
+ * Without the SEARCH_COORDINATOR binding every search gets its own coordinator
+ */
+function getSearchCoordinator(env, key) {
+  if (!env.SEARCH_COORDINATOR) {
+    return new SearchCoordinator(null, env);
+  }
+  return env.SEARCH_COORDINATOR.get(env.SEARCH_COORDINATOR.idFromName(key));
+}
+
+/**
+ * Durable Object that owns the upstream scan of one unit, date, court type and duration
+ *
+ * The first search starts the scan; searches that arrive while it runs join it: they
+ * are replayed the results produced so far and then get the live ones, and only slots
+ * nobody is searching yet are added to the scan. Searches sent with subscribe stay
+ * open after their complete event and are pushed the results of a re-scan every
+ * RESCAN_INTERVAL while any of them is connected.
+ *
+ * Every event carries an id of the coordinator's stream id and a sequence number. A
+ * client whose connection dropped searches again with the last id it got in
+ * Last-Event-ID and is sent only the results that came after it; results are kept
+ * for RESUME_WINDOW after the last search left. A coordinator that was evicted in
+ * between has a new stream id, so the client is sent everything again.
+ */
+export class SearchCoordinator {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.search = null;
+    this.subscribers = new Set();
+    this.streamId = crypto.randomUUID();
+    this.seq = 0;
+    // Time slot -> { seq, event } of the latest result
+    this.results = new Map();
+    // When the last search left, while the results are kept for resuming clients
+    this.idleSince = null;
+    // Time slots with a search (or the refresh of a stale cached result) in flight
+    this.pending = new Set();
+    // AbortControllers of the running scans
+    this.scans = new Set();
+  }
+  
+  async fetch(request) {
+    const { unitId, date, courtType, duration, timeSlots, session, refresh, subscribe, lastEventId, allowedOrigin } = await request.json();
+    this.search = { unitId, date, courtType, duration };
+    
+    const resumeSeq = this.getResumeSeq(lastEventId);
+    // A new search of an idle coordinator starts afresh (the per-slot cache serves it)
+    if (this.idleSince !== null && (resumeSeq === null || Date.now() - this.idleSince > RESUME_WINDOW * 1000)) {
+      this.results.clear();
+    }
+    this.idleSince = null;
+    
+    const subscriber = {
+      request,
+      session,
+      timeSlots,
+      subscribe,
+      complete: false,
+      stream: createEventStream(allowedOrigin),
+    };
+    this.subscribers.add(subscriber);
+    subscriber.stream.signal.addEventListener('abort', () => this.unsubscribe(subscriber));
+    
+    // Replay what the running scan already found, or what a resuming client missed,
+    // in sequence so that the last id the client gets covers everything before it
+    const replay = timeSlots
+      .map((timeSlot) => this.results.get(timeSlot))
+      .filter((result) => result && result.seq > (resumeSeq ?? 0))
+      .sort((a, b) => a.seq - b.seq);
+    for (const { seq, event } of replay) {
+      this.send(subscriber, event, seq);
+    }
+    
+    const missing = timeSlots.filter((timeSlot) =>
+      !this.pending.has(timeSlot) && (refresh || !this.results.has(timeSlot))
+    );
+    if (missing.length > 0) {
+      this.startScan(missing, { refresh, record: true });
+    } else {
+      this.completeSubscribers();
+    }
+    
+    return subscriber.stream.response;
+  }
+  
+  /**
+   * Re-scan for subscribed clients
+   * Rescans aren't recorded in the availability history: a client left open would
+   * add a snapshot of its slots every minute
+   */
+  async alarm() {
+    const timeSlots = new Set();
+    for (const subscriber of this.subscribers) {
+      subscriber.timeSlots.forEach((timeSlot) => timeSlots.add(timeSlot));
+      subscriber.complete = false;
+    }
+    
+    const due = [...timeSlots].filter((timeSlot) => !this.pending.has(timeSlot));
+    if (due.length > 0) {
+      await this.scan(due, { refresh: true });
+    }
+  }
+  
+  /**
+   * Search time slots with the session of a connected subscriber
+   * When that session turns out to be logged out, its subscribers are told so and
+   * the slots still missing are searched with another subscriber's session
+   */
+  async scan(timeSlots, options) {
+    const { unitId, date, courtType, duration } = this.search;
+    const controller = new AbortController();
+    this.scans.add(controller);
+    timeSlots.forEach((timeSlot) => this.pending.add(timeSlot));
+    
+    try {
+      while (this.pending.size > 0) {
+        const subscriber = [...this.subscribers][0];
+        if (!subscriber) break;
+        
+        const jobs = timeSlots
+          .filter((timeSlot) => this.pending.has(timeSlot))
+          .map((timeSlot) => ({ unitId, date, timeSlot, courtType, duration }));
+        if (jobs.length === 0) break;
+        
+        try {
+          await searchSlotsCached(this.env, jobs, subscriber.session, { ...options, signal: controller.signal }, async ({ timeSlot, data, cached, age, stale }) => {
+            this.publish({ type: 'result', timeSlot, data, cached, age, stale });
+            // A stale cached result is followed by the refreshed one
+            if (!stale) {
+              this.pending.delete(timeSlot);
+            }
+          });
+          break;
+        } catch (error) {
+          if (!(error instanceof SessionExpiredError)) {
+            throw error;
+          }
+          await this.expireSession(subscriber.session);
+        }
+      }
+    } catch (error) {
+      console.error('Streaming error:', error);
+      for (const subscriber of this.subscribers) {
+        if (subscriber.timeSlots.some((timeSlot) => timeSlots.includes(timeSlot))) {
+          this.send(subscriber, { type: 'error', error: error.message });
+        }
+      }
+    } finally {
+      this.scans.delete(controller);
+      timeSlots.forEach((timeSlot) => this.pending.delete(timeSlot));
+      
+      // Searches that joined after the scan was called off still need its slots
+      const unfinished = controller.signal.aborted
+        ? timeSlots.filter((timeSlot) => !this.results.has(timeSlot) && this.isWanted(timeSlot))
+        : [];
+      if (unfinished.length > 0) {
+        this.startScan(unfinished, options);
+      } else {
+        this.completeSubscribers();
+        await this.scheduleRescan().catch((error) => console.error('Rescan scheduling error:', error));
+      }
+    }
+  }
+  
+  /**
+   * Run a scan in the background, logging anything it fails with
+   */
+  startScan(timeSlots, options) {
+    this.scan(timeSlots, options).catch((error) => console.error('Scan error:', error));
+  }
+  
+  isWanted(timeSlot) {
+    return [...this.subscribers].some((subscriber) => subscriber.timeSlots.includes(timeSlot));
+  }
+  
+  /**
+   * Send a result to every subscriber searching its time slot
+   */
+  publish(event) {
+    const seq = ++this.seq;
+    this.results.set(event.timeSlot, { seq, event });
+    for (const subscriber of this.subscribers) {
+      if (subscriber.timeSlots.includes(event.timeSlot)) {
+        this.send(subscriber, event, seq);
+      }
+    }
+  }
+  
+  /**
+   * Send the complete event to subscribers whose time slots are all in
+   * Subscribers that did not ask to stay subscribed are closed
+   */
+  completeSubscribers() {
+    const { unitId, date, courtType, duration } = this.search;
+    
+    for (const subscriber of this.subscribers) {
+      if (subscriber.complete || subscriber.timeSlots.some((timeSlot) => this.pending.has(timeSlot))) {
+        continue;
+      }
+      
+      const results = {};
+      for (const timeSlot of subscriber.timeSlots) {
+        if (this.results.has(timeSlot)) {
+          results[timeSlot] = this.results.get(timeSlot).event.data;
+        }
+      }
+      this.send(subscriber, { type: 'complete', unitId, date, courtType, duration, results });
+      subscriber.complete = true;
+      
+      if (!subscriber.subscribe) {
+        this.unsubscribe(subscriber);
+      }
+    }
+    
+    this.markIdle();
+  }
+  
+  /**
+   * Start the resume window once every search is done
+   */
+  markIdle() {
+    if (this.subscribers.size === 0 && this.pending.size === 0 && this.idleSince === null) {
+      this.idleSince = Date.now();
+    }
+  }
+  
+  /**
+   * Sequence number a resuming client got up to, or null when its Last-Event-ID is
+   * missing or from another stream
+   */
+  getResumeSeq(lastEventId) {
+    const [streamId, seq] = String(lastEventId || '').split('.');
+    if (streamId !== this.streamId || !/^\d+$/.test(seq)) {
+      return null;
+    }
+    return Number(seq);
+  }
+  
+  /**
+   * Forget a logged-out session and tell its subscribers
+   */
+  async expireSession(session) {
+    for (const subscriber of this.subscribers) {
+      if (subscriber.session.sessionId === session.sessionId) {
+        await expireSession(subscriber.request, this.env);
+        this.send(subscriber, { type: 'session_expired' });
+        this.unsubscribe(subscriber);
+      }
+    }
+  }
+  
+  async scheduleRescan() {
+    if (!this.state || this.pending.size > 0) return;
+    
+    const subscribed = [...this.subscribers].some((subscriber) => subscriber.subscribe);
+    if (subscribed && !(await this.state.storage.getAlarm())) {
+      await this.state.storage.setAlarm(Date.now() + RESCAN_INTERVAL * 1000);
+    }
+  }
+  
+  /**
+   * Write an event without waiting for the client, so a slow client can't hold up the
+   * others; a client that went away is unsubscribed through its stream's signal.
+   * Events other than results carry the sequence number reached so far.
+   */
+  send(subscriber, event, seq = this.seq) {
+    subscriber.stream.send(event, `${this.streamId}.${seq}`);
+  }
+  
+  /**
+   * Drop a subscriber, stopping the scans once nobody is left to receive their results
+   */
+  unsubscribe(subscriber) {
+    if (!this.subscribers.delete(subscriber)) return;
+    subscriber.stream.close();
+    
+    if (this.subscribers.size === 0) {
+      this.scans.forEach((scan) => scan.abort());
+      this.markIdle();
+    }
+  }
+}
+
+/**
+ * Handle multi-center court search request using Server-Sent Events
+ * Searches the same date and time slots across several units over one connection,
+ * tagging every result event with its unitId
+ */
+async function handleMultiCenterSearch(request, env, allowedOrigin) {
+  try {
+    const body = await request.json();
+    const { unitIds, date, timeSlots } = body;
+    const { duration, courtType, error } = parseSearchOptions(body);
+    
+    if (!Array.isArray(unitIds) || unitIds.length === 0 || !date || !timeSlots) {
+      return jsonResponse(
+        { error: 'Missing required parameters: unitIds, date, timeSlots' },
+        { status: 400, allowedOrigin }
+      );
+    }
+    
+    if (error) {
+      return jsonResponse({ error }, { status: 400, allowedOrigin });
+    }
+    
+    const session = await getSession(request, env);
+    if (!session) {
+      return sessionExpiredResponse(allowedOrigin);
+    }
+    
+    const stream = createEventStream(allowedOrigin);
+    
+    (async () => {
+      const results = Object.fromEntries(unitIds.map((unitId) => [unitId, {}]));
+      
+      try {
+        // Order jobs by time slot so early hours arrive first for every center
+        const jobs = [];
+        for (const timeSlot of timeSlots) {
+          for (const unitId of unitIds) {
+            jobs.push({ unitId, date, timeSlot, courtType, duration });
+          }
+        }
+        
+        await searchSlotsCached(env, jobs, session, { refresh: body.refresh, record: true, signal: stream.signal }, async ({ unitId, timeSlot, data, cached, age, stale }) => {
+          results[unitId][timeSlot] = data;
+          await stream.send({ type: 'result', unitId, timeSlot, data, cached, age, stale });
+        });
+        
+        await stream.send({ type: 'complete', unitIds, date, courtType, duration, results });
+      } catch (error) {
+        if (error instanceof SessionExpiredError) {
+          await expireSession(request, env);
+          await stream.send({ type: 'session_expired' });
+        } else {
+          console.error('Streaming error:', error);
+          await stream.send({ type: 'error', error: error.message });
+        }
+      } finally {
+        await stream.close();
+      }
+    })();
+    
+    return stream.response;
+  } catch (error) {
+    console.error('Stream setup error:', error);
+    return jsonResponse(
+      { error: `Stream setup error: ${error.message}` },
+      { status: 500, allowedOrigin }
+    );
+  }
+}
+
+/**
+ * Handle date-range scan request using Server-Sent Events
+ * For each date, fetches the unit's time slots and searches every slot,
+ * tagging every result event with its date
+ */
+async function handleDateRangeScan(request, env, allowedOrigin) {
+  try {
+    const body = await request.json();
+    const { unitId, dates } = body;
+    const { duration, courtType, error } = parseSearchOptions(body);
+    
+    if (!unitId || !Array.isArray(dates) || dates.length === 0) {
+      return jsonResponse(
+        { error: 'Missing required parameters: unitId, dates' },
+        { status: 400, allowedOrigin }
+      );
+    }
+    
+    if (error) {
+      return jsonResponse({ error }, { status: 400, allowedOrigin });
+    }
+    
+    const session = await getSession(request, env);
+    if (!session) {
+      return sessionExpiredResponse(allowedOrigin);
+    }
+    
+    const stream = createEventStream(allowedOrigin);
+    
+    (async () => {
+      try {
+        for (const date of dates) {
+          // The client went away: don't scan days nobody will see
+          if (stream.signal.aborted) break;
+          
+          const timeSlots = await fetchTimeSlots(env, unitId, date, session, { courtType, duration });
+          await stream.send({ type: 'day', date, timeSlots });
+          
+          const results = {};
+          const jobs = timeSlots.map((timeSlot) => ({ unitId, date, timeSlot, courtType, duration }));
+          await searchSlotsCached(env, jobs, session, { refresh: body.refresh, record: true, signal: stream.signal }, async ({ timeSlot, data, cached, age, stale }) => {
+            results[timeSlot] = data;
+            await stream.send({ type: 'result', date, timeSlot, data, cached, age, stale });
+          });
+          
+          await stream.send({ type: 'day-complete', date, results });
+        }
+        
+        await stream.send({ type: 'complete', unitId, dates, courtType, duration });
+      } catch (error) {
+        if (error instanceof SessionExpiredError) {
+          await expireSession(request, env);
+          await stream.send({ type: 'session_expired' });
+        } else {
+          console.error('Streaming error:', error);
+          await stream.send({ type: 'error', error: error.message });
+        }
+      } finally {
+        await stream.close();
+      }
+    })();
+    
+    return stream.response;
+  } catch (error) {
+    console.error('Stream setup error:', error);
+    return jsonResponse(
+      { error: `Stream setup error: ${error.message}` },
+      { status: 500, allowedOrigin }
+    );
+  }
+}
+
+/**
+ * Fetch the bookable time slots of a unit on a date (dd/MM/yyyy)
+ * Slots that already started (Israel time) are dropped, as are slots where a
+ * booking of the given duration would run past closing. When the site can't
+ * be reached the unit's learned opening hours for that date are used instead.
+ */
+async function fetchTimeSlots(env, unitId, date, session, { courtType = DEFAULT_COURT_TYPE, duration = '1' } = {}) {
+  const now = getIsraelNow();
+  const [day, month, year] = date.split('/').map(Number);
+  const localDate = new Date(year, month - 1, day);
+  const openingHours = await getOpeningHours(env, unitId);
+  
+  let openSlots;
+  try {
+    openSlots = await fetchOpenSlots(env, unitId, date, session, courtType);
+    // Today's answer may leave out hours that already passed
+    if (date !== now.date) {
+      await saveOpeningHours(env, unitId, learnOpeningHours(openingHours, localDate, openSlots));
+    }
+  } catch (error) {
+    if (error instanceof SessionExpiredError) {
+      throw error;
+    }
+    console.warn(`Using opening hours of unit ${unitId} for ${date}:`, error.message);
+    openSlots = getValidTimeSlots(localDate, openingHours);
+  }
+  
+  const timeSlots = openSlots.filter((slot) => fitsOpeningHours(slot, duration, openSlots));
+  if (date !== now.date) {
+    return timeSlots;
+  }
+  return timeSlots.filter((slot) => parseInt(slot.split(':')[0], 10) > now.hour);
+}
+
+/**
+ * Fetch the time slots the site offers for a unit on a date (set_time_by_unit)
+ */
+async function fetchOpenSlots(env, unitId, date, session, courtType) {
+  const targetBaseUrl = env.TARGET_BASE_URL || 'https://center.tennis.org.il';
+  const [day, month, year] = date.split('/');
+  
+  const formData = new URLSearchParams();
+  formData.append('unit_id', unitId);
+  formData.append('date', `${year}-${month}-${day}`);
+  formData.append('court_type', courtType);
+  
+  const response = await fetch(`${targetBaseUrl}/self_services/set_time_by_unit`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Cookie': session.sessionId,
+    },
+    body: formData.toString(),
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to fetch time slots: HTTP ${response.status}`);
+  }
+  
+  const responseText = await response.text();
+  if (isLoggedOutResponse(response, responseText)) {
+    throw new SessionExpiredError();
+  }
+  
+  return parseTimeSlots(responseText);
+}
+
+/**
+ * Get the opening hours learned for a unit, by day type
+ * Without the cache nothing is learned, and the default hours are used for every day type
+ */
+async function getOpeningHours(env, unitId) {
+  if (!env.COURTS_CACHE) return {};
+  
+  return (await env.COURTS_CACHE.get(`opening-hours:${unitId}`, 'json')) || {};
+}
+
+/**
+ * Store a unit's opening hours (null when learnOpeningHours found nothing new)
+ */
+async function saveOpeningHours(env, unitId, openingHours) {
+  if (!env.COURTS_CACHE || !openingHours) return;
+  
+  await env.COURTS_CACHE.put(`opening-hours:${unitId}`, JSON.stringify(openingHours), {
+    expirationTtl: OPENING_HOURS_TTL,
+  });
+}
+
+/**
+ * Get the current date (dd/MM/yyyy) and hour in Israel
+ */
+function getIsraelNow() {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-GB', {
+    timeZone: 'Asia/Jerusalem',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23',
+  });
+  for (const { type, value } of formatter.formatToParts(new Date())) {
+    parts[type] = value;
+  }
+  
+  return {
+    date: `${parts.day}/${parts.month}/${parts.year}`,
+    hour: parseInt(parts.hour, 10),
+  };
+}
+
+/**
+ * Handle court booking request
+ * Books the way the site does: opens the booking link of a slot returned by the search
+ * (its confirmation page), submits the form on it and reports the upstream message
+ */
+async function handleBookCourt(request, env, allowedOrigin) {
+  try {
+    const body = await request.json();
+    const { unitId, date, bookingUrl, courtType = DEFAULT_COURT_TYPE } = body;
+    
+    if (!unitId || !bookingUrl) {
+      return jsonResponse(
+        { error: 'Missing required parameters: unitId, bookingUrl' },
+        { status: 400, allowedOrigin }
+      );
+    }
+    
+    const confirmUrl = resolveSiteUrl(env, bookingUrl);
+    if (!confirmUrl) {
+      return jsonResponse({ error: 'Invalid bookingUrl' }, { status: 400, allowedOrigin });
+    }
+    
+    const session = await getSession(request, env);
+    if (!session) {
+      return sessionExpiredResponse(allowedOrigin);
+    }
+    
+    // Result links are remote (data-remote): the page may come back as a jQuery call
+    const confirmResponse = await fetch(confirmUrl, {
+      headers: {
+        'Accept': 'text/javascript, application/javascript, text/html',
+        'X-Requested-With': 'XMLHttpRequest',
+        'Cookie': session.sessionId,
+      },
+    });
+    
+    if (!confirmResponse.ok) {
+      return jsonResponse(
+        { success: false, message: `HTTP ${confirmResponse.status}` },
+        { status: 502, allowedOrigin }
+      );
+    }
+    
+    const confirmText = await confirmResponse.text();
+    if (isLoggedOutResponse(confirmResponse, confirmText)) {
+      await expireSession(request, env);
+      return sessionExpiredResponse(allowedOrigin);
+    }
+    
+    // Without a form the site answered with a message instead, e.g. that the court was taken
+    const form = parseSubmitForm(confirmText);
+    if (!form) {
+      return jsonResponse(parseActionResult(confirmText), { allowedOrigin });
+    }
+    
+    const response = await submitSiteForm(env, form, confirmUrl, session);
+    if (!response) {
+      return jsonResponse(
+        { success: false, message: 'Unexpected booking form' },
+        { status: 502, allowedOrigin }
+      );
+    }
+    
+    if (!response.ok) {
+      return jsonResponse(
+        { success: false, message: `HTTP ${response.status}` },
+        { status: 502, allowedOrigin }
+      );
+    }
+    
+    const responseText = await response.text();
+    if (isLoggedOutResponse(response, responseText)) {
+      await expireSession(request, env);
+      return sessionExpiredResponse(allowedOrigin);
+    }
+    
+    const result = parseActionResult(responseText);
+    
+    // A booking can overlap slots of any start hour and duration, so drop every
+    // cached slot of that unit, date and court type
+    if (result.success && date && env.COURTS_CACHE) {
+      await deleteCachedSlots(env, `${SLOT_CACHE_PREFIX}:${unitId}:${date}:${courtType}:`);
+    }
+    
+    return jsonResponse(result, { allowedOrigin });
+  } catch (error) {
+    console.error('Booking error:', error);
+    return jsonResponse(
+      { success: false, message: `Booking error: ${error.message}` },
+      { status: 500, allowedOrigin }
+    );
+  }
+}
+
+/**
+ * Handle reservations list request
+ * Fetches the user's reservations page and parses it; each reservation's cancel
+ * control comes back with its action resolved, to be sent to /api/reservations/cancel
+ */
+async function handleListReservations(request, env, allowedOrigin) {
+  try {
+    const session = await getSession(request, env);
+    if (!session) {
+      return sessionExpiredResponse(allowedOrigin);
+    }
+    
+    const reservationsUrl = await getReservationsUrl(env, session);
+    if (!reservationsUrl) {
+      return jsonResponse(
+        { error: 'No link to the reservations page found on the search form' },
+        { status: 502, allowedOrigin }
+      );
+    }
+    
+    const response = await fetch(reservationsUrl, {
+      headers: {
+        'Cookie': session.sessionId,
+      },
+    });
+    
+    if (!response.ok) {
+      return jsonResponse(
+        { error: `HTTP ${response.status}` },
+        { status: 502, allowedOrigin }
+      );
+    }
+    
+    const responseText = await response.text();
+    if (isLoggedOutResponse(response, responseText)) {
+      await expireSession(request, env);
+      return sessionExpiredResponse(allowedOrigin);
+    }
+    
+    const reservations = parseReservations(responseText).map((reservation) => {
+      const action = reservation.cancel && resolveSiteUrl(env, reservation.cancel.action, reservationsUrl);
+      return action
+        ? { ...reservation, cancel: { ...reservation.cancel, action: action.href } }
+        : { ...reservation, cancellable: false, cancel: null };
+    });
+    return jsonResponse({ reservations }, { allowedOrigin });
+  } catch (error) {
+    if (error instanceof SessionExpiredError) {
+      await expireSession(request, env);
+      return sessionExpiredResponse(allowedOrigin);
+    }
+    console.error('Reservations error:', error);
+    return jsonResponse(
+      { error: `Reservations error: ${error.message}` },
+      { status: 500, allowedOrigin }
+    );
+  }
+}
+
+/**
+ * Get the URL of the user's reservations page, from the search form's navigation
+ * Resolves with null when the form has no such link
+ * Throws SessionExpiredError if the session was logged out
+ */
+async function getReservationsUrl(env, session) {
+  let path = env.COURTS_CACHE ? await env.COURTS_CACHE.get(RESERVATIONS_PATH_CACHE_KEY) : null;
+  if (!path) {
+    const url = resolveSiteUrl(env, parseReservationsLink(await fetchSearchForm(env, session)) || '');
+    if (!url) return null;
+    
+    path = url.pathname + url.search;
+    if (env.COURTS_CACHE) {
+      await env.COURTS_CACHE.put(RESERVATIONS_PATH_CACHE_KEY, path, { expirationTtl: RESERVATIONS_PATH_TTL });
+    }
+  }
+  return resolveSiteUrl(env, path);
+}
+
+/**
+ * Handle reservation cancel request
+ * Submits the cancel control of a reservation listed by /api/reservations
+ */
+async function handleCancelReservation(request, env, allowedOrigin) {
+  try {
+    const body = await request.json();
+    const { cancel } = body;
+    
+    const valid = cancel && typeof cancel.action === 'string' && ['get', 'post'].includes(cancel.method)
+      && Array.isArray(cancel.fields)
+      && cancel.fields.every((field) => Array.isArray(field) && field.length === 2 && field.every((part) => typeof part === 'string'));
+    if (!valid) {
+      return jsonResponse(
+        { error: 'Missing required parameters: cancel (the cancel control of a listed reservation)' },
+        { status: 400, allowedOrigin }
+      );
+    }
+    
+    const session = await getSession(request, env);
+    if (!session) {
+      return sessionExpiredResponse(allowedOrigin);
+    }
+    
+    const response = await submitSiteForm(env, cancel, env.TARGET_BASE_URL || 'https://center.tennis.org.il', session);
+    if (!response) {
+      return jsonResponse({ error: 'Invalid cancel action' }, { status: 400, allowedOrigin });
+    }
+    
+    if (!response.ok) {
+      return jsonResponse(
+        { success: false, message: `HTTP ${response.status}` },
+        { status: 502, allowedOrigin }
+      );
+    }
+    
+    const responseText = await response.text();
+    if (isLoggedOutResponse(response, responseText)) {
+      await expireSession(request, env);
+      return sessionExpiredResponse(allowedOrigin);
+    }
+    
+    return jsonResponse(parseActionResult(responseText), { allowedOrigin });
+  } catch (error) {
+    console.error('Cancel error:', error);
+    return jsonResponse(
+      { success: false, message: `Cancel error: ${error.message}` },
+      { status: 500, allowedOrigin }
+    );
+  }
+}
+
+/**
+ * Handle availability analytics request
+ * Reports, for each center, weekday and hour, how often a court was free and how
+ * many days ahead the slot has to be booked, from the recorded search snapshots
+ */
+async function handleAnalytics(request, env, allowedOrigin) {
+  try {
+    if (!env.HISTORY) {
+      return jsonResponse(
+        { error: 'Availability history is not configured' },
+        { status: 503, allowedOrigin }
+      );
+    }
+    
+    // The history is gathered from users' searches and only shown to logged-in users
+    const session = await getSession(request, env);
+    if (!session) {
+      return sessionExpiredResponse(allowedOrigin);
+    }
+    
+    const params = new URL(request.url).searchParams;
+    const unitId = params.get('unitId');
+    const { duration, courtType, error } = parseSearchOptions({
+      duration: params.get('duration'),
+      courtType: params.get('courtType'),
+    });
+    if (error) {
+      return jsonResponse({ error }, { status: 400, allowedOrigin });
+    }
+    
+    const since = Date.now() - HISTORY_WINDOW_DAYS * 86400 * 1000;
+    const { results: rows } = await env.HISTORY.prepare(`
+      SELECT unit_id, weekday, hour,
+        MIN(MAX(CAST(hours_ahead / 24 AS INTEGER), 0), 14) AS days_ahead,
+        COUNT(*) AS samples,
+        SUM(free_courts > 0) AS free_samples
+      FROM availability_snapshots
+      WHERE recorded_at >= ?1 AND court_type = ?2 AND duration = ?3 AND (?4 IS NULL OR unit_id = ?4)
+      GROUP BY unit_id, weekday, hour, days_ahead
+    `).bind(since, courtType, duration, unitId).all();
+    
+    const cells = new Map();
+    for (const row of rows) {
+      const key = `${row.unit_id}:${row.weekday}:${row.hour}`;
+      if (!cells.has(key)) {
+        cells.set(key, { unitId: row.unit_id, weekday: row.weekday, hour: row.hour, samples: 0, freeSamples: 0, byDaysAhead: [] });
+      }
+      const cell = cells.get(key);
+      cell.samples += row.samples;
+      cell.freeSamples += row.free_samples;
+      cell.byDaysAhead.push({ daysAhead: row.days_ahead, samples: row.samples, freeRate: row.free_samples / row.samples });
+    }
+    
+    const report = [...cells.values()].map(({ freeSamples, ...cell }) => {
+      cell.byDaysAhead.sort((a, b) => a.daysAhead - b.daysAhead);
+      return {
+        ...cell,
+        freeRate: freeSamples / cell.samples,
+        bookAheadDays: getBookAheadDays(cell.byDaysAhead),
+      };
+    });
+    
+    return jsonResponse(
+      { courtType, duration, since: new Date(since).toISOString(), cells: report },
+      { allowedOrigin }
+    );
+  } catch (error) {
+    console.error('Analytics error:', error);
+    return jsonResponse(
+      { error: `Analytics error: ${error.message}` },
+      { status: 500, allowedOrigin }
+    );
+  }
+}
+
+/**
+ * Days ahead a slot has to be booked: one more than the latest lead time at which it
+ * was free less than half the time, so 0 when it is usually free even on the day
+ * Returns null when there are too few snapshots or it was hardly ever free
+ */
+function getBookAheadDays(byDaysAhead) {
+  const judged = byDaysAhead.filter(({ samples }) => samples >= MIN_HISTORY_SAMPLES);
+  if (judged.length === 0 || judged.every(({ freeRate }) => freeRate < 0.5)) {
+    return null;
+  }
+  
+  const full = judged.filter(({ freeRate }) => freeRate < 0.5);
+  return full.length > 0 ? Math.max(...full.map(({ daysAhead }) => daysAhead)) + 1 : 0;
+}
+
+/**
+ * Record a timestamped snapshot of each searched slot (only available and full ones)
+ * History is best effort: a failed write never fails the search
+ */
+async function recordSnapshots(env, results) {
+  const snapshots = results.filter(({ data }) => data.status === 'available' || data.status === 'full');
+  if (!env.HISTORY || snapshots.length === 0) return;
+  
+  const recordedAt = Date.now();
+  const insert = env.HISTORY.prepare(`
+    INSERT INTO availability_snapshots
+      (unit_id, date, time_slot, weekday, hour, court_type, duration, free_courts, hours_ahead, recorded_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  
+  try {
+    await env.HISTORY.batch(snapshots.map(({ unitId, date, timeSlot, courtType = DEFAULT_COURT_TYPE, duration = '1', data }) => {
+      const [day, month, year] = date.split('/').map(Number);
+      return insert.bind(
+        String(unitId),
+        `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+        timeSlot,
+        new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+        parseInt(timeSlot, 10),
+        courtType,
+        duration,
+        data.status === 'available' ? data.courts.length : 0,
+        getHoursAhead(date, timeSlot),
+        recordedAt
+      );
+    }));
+  } catch (error) {
+    console.error('History error:', error);
+  }
+}
+
+/**
+ * Delete snapshots past the retention period
+ */
+async function pruneHistory(env) {
+  if (!env.HISTORY) return;
+  
+  const cutoff = Date.now() - HISTORY_RETENTION_DAYS * 86400 * 1000;
+  await env.HISTORY.prepare('DELETE FROM availability_snapshots WHERE recorded_at < ?').bind(cutoff).run();
+}
+
+/**
+ * Handle watch list request: the watches of the session's owner
+ */
+async function handleListWatches(request, env, allowedOrigin) {
+  if (!env.USER_DATA) {
+    return jsonResponse({ error: 'Watches are not configured' }, { status: 501, allowedOrigin });
+  }
+  
+  const session = await getSession(request, env);
+  if (!session) {
+    return sessionExpiredResponse(allowedOrigin);
+  }
+  
+  const watches = [];
+  let cursor;
+  do {
+    const page = await env.USER_DATA.list({ prefix: `watch:${session.owner}:`, cursor });
+    for (const { name } of page.keys) {
+      const watch = await env.USER_DATA.get(name, 'json');
+      if (watch) {
+        watches.push(toPublicWatch(watch));
+      }
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  
+  watches.sort((a, b) => a.createdAt - b.createdAt);
+  return jsonResponse({ watches }, { allowedOrigin });
+}
+
+/**
+ * Handle watch create request
+ * The watch belongs to the session's owner; X-Client-Id is the device its notifications go to
+ */
+async function handleCreateWatch(request, env, allowedOrigin) {
+  try {
+    const clientId = request.headers.get('X-Client-Id');
+    const body = await request.json();
+    const { unitId, centerName, date, fromTime, toTime, minCourts = 1 } = body;
+    
+    if (!clientId || !unitId || !date || !fromTime || !toTime) {
+      return jsonResponse(
+        { error: 'Missing required parameters: X-Client-Id, unitId, date, fromTime, toTime' },
+        { status: 400, allowedOrigin }
+      );
+    }
+    
+    if (!/^\d{2}\/\d{2}\/\d{4}$/.test(date) || !/^\d{2}:\d{2}$/.test(fromTime) || !/^\d{2}:\d{2}$/.test(toTime) || fromTime > toTime) {
+      return jsonResponse(
+        { error: 'Invalid watch: date must be dd/MM/yyyy and fromTime <= toTime (HH:MM)' },
+        { status: 400, allowedOrigin }
+      );
+    }
+    
+    if (!env.USER_DATA) {
+      return jsonResponse({ error: 'Watches are not configured' }, { status: 501, allowedOrigin });
+    }
+    
+    const session = await getSession(request, env);
+    if (!session) {
+      return sessionExpiredResponse(allowedOrigin);
+    }
+    
+    const watch = {
+      id: crypto.randomUUID(),
+      owner: session.owner,
+      clientId,
+      unitId,
+      centerName: centerName || null,
+      date,
+      fromTime,
+      toTime,
+      minCourts: Math.max(1, parseInt(minCourts, 10) || 1),
+      createdAt: Date.now(),
+      lastCheckedAt: null,
+      // Set while no session of the owner is left to search with
+      needsLogin: false,
+      statuses: {},
+      events: [],
+    };
+    
+    await saveWatch(env, watch);
+    return jsonResponse({ watch: toPublicWatch(watch) }, { status: 201, allowedOrigin });
+  } catch (error) {
+    console.error('Create watch error:', error);
+    return jsonResponse(
+      { error: `Create watch error: ${error.message}` },
+      { status: 500, allowedOrigin }
+    );
+  }
+}
+
+/**
+ * Handle watch delete request
+ */
+async function handleDeleteWatch(request, env, allowedOrigin, watchId) {
+  if (!watchId) {
+    return jsonResponse({ error: 'Missing watch ID' }, { status: 400, allowedOrigin });
+  }
+  
+  if (!env.USER_DATA) {
+    return jsonResponse({ error: 'Watches are not configured' }, { status: 501, allowedOrigin });
+  }
+  
+  const session = await getSession(request, env);
+  if (!session) {
+    return sessionExpiredResponse(allowedOrigin);
+  }
+  
+  await env.USER_DATA.delete(`watch:${session.owner}:${watchId}`);
+  return jsonResponse({ deleted: watchId }, { allowedOrigin });
+}
+
+/**
+ * Re-run the court search for every watch and record slots that freed up
+ * Watches on the same unit and date share one search
+ */
+async function checkWatches(env) {
+  if (!env.USER_DATA) return;
+  
+  const groups = new Map();
+  let cursor;
+  do {
+    const page = await env.USER_DATA.list({ prefix: 'watch:', cursor });
+    for (const { name } of page.keys) {
+      const watch = await env.USER_DATA.get(name, 'json');
+      if (!watch) continue;
+      
+      const groupKey = `${watch.unitId}:${watch.date}`;
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, []);
+      }
+      groups.get(groupKey).push(watch);
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  
+  for (const watches of groups.values()) {
+    try {
+      await checkWatchGroup(env, watches);
+    } catch (error) {
+      console.error('Watch check error:', error);
+    }
+  }
+}
+
+/**
+ * Check a group of watches on the same unit and date
+ * When none of their owners has a live session, the watches are marked as needing a login
+ */
+async function checkWatchGroup(env, watches) {
+  const { unitId, date } = watches[0];
+  const now = getIsraelNow();
+  
+  const timeSlots = [...new Set(watches.flatMap(getWatchTimeSlots))]
+    .filter((timeSlot) => date !== now.date || parseInt(timeSlot.split(':')[0], 10) > now.hour)
+    .sort();
+  
+  // Nothing left to watch once every slot has started
+  if (timeSlots.length === 0) {
+    for (const watch of watches) {
+      await env.USER_DATA.delete(`watch:${watch.owner}:${watch.id}`);
+    }
+    return;
+  }
+  
+  const jobs = timeSlots.map((timeSlot) => ({ unitId, date, timeSlot }));
+  const results = await searchWatchSlots(env, watches, jobs);
+  if (!results) {
+    console.log(`No live session for watches on ${unitId} ${date}`);
+    for (const watch of watches.filter((watch) => !watch.needsLogin)) {
+      watch.needsLogin = true;
+      await saveWatch(env, watch);
+    }
+    return;
+  }
+  
+  for (const watch of watches) {
+    for (const timeSlot of getWatchTimeSlots(watch)) {
+      const data = results[timeSlot];
+      if (!data || data.status === 'error') continue;
+      
+      const status = data.status === 'available' && data.courts.length >= watch.minCourts
+        ? 'available'
+        : 'full';
+      
+      if (watch.statuses[timeSlot] === 'full' && status === 'available') {
+        watch.events.unshift({ timeSlot, courts: data.courts, firedAt: Date.now() });
+        watch.events = watch.events.slice(0, MAX_WATCH_EVENTS);
+        console.log(`Watch ${watch.id} fired for ${unitId} ${date} ${timeSlot}`);
+        
+        await notifyClient(env, watch.owner, watch.clientId, {
+          title: 'התפנה מגרש!',
+          body: `${watch.centerName ? `${watch.centerName}, ` : ''}${date} ${timeSlot} · ${data.courts.length} מגרש${data.courts.length > 1 ? 'ים' : ''}`,
+          tag: `${unitId}:${date}:${timeSlot}`,
+          unitId,
+          date,
+          timeSlot,
+        });
+      }
+      watch.statuses[timeSlot] = status;
+    }
+    
+    watch.lastCheckedAt = Date.now();
+    watch.needsLogin = false;
+    await saveWatch(env, watch);
+  }
+}
+
+/**
+ * Search a watch group's slots with the live session of one of its owners
+ * A session the site logged out is forgotten and the next owner's is tried;
+ * resolves with time slot -> result, or null when no owner has a session left
+ */
+async function searchWatchSlots(env, watches, jobs) {
+  for (const owner of new Set(watches.map((watch) => watch.owner))) {
+    const ownerSession = await getOwnerSession(env, owner);
+    if (!ownerSession) continue;
+    
+    const results = {};
+    try {
+      await searchSlots(env, jobs, ownerSession.session, async ({ timeSlot, data }) => {
+        results[timeSlot] = data;
+      });
+      return results;
+    } catch (error) {
+      if (!(error instanceof SessionExpiredError)) {
+        throw error;
+      }
+      await forgetSession(env, ownerSession.token);
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the hourly time slots covered by a watch
+ */
+function getWatchTimeSlots(watch) {
+  const timeSlots = [];
+  const fromHour = parseInt(watch.fromTime.split(':')[0], 10);
+  const toHour = parseInt(watch.toTime.split(':')[0], 10);
+  for (let hour = fromHour; hour <= toHour; hour++) {
+    timeSlots.push(`${String(hour).padStart(2, '0')}:00`);
+  }
+  return timeSlots;
+}
+
+/**
+ * Store a watch, expiring it the day after its date
+ */
+async function saveWatch(env, watch) {
+  const [day, month, year] = watch.date.split('/').map(Number);
+  const expiration = Math.floor(Date.UTC(year, month - 1, day + 1) / 1000);
+  
+  await env.USER_DATA.put(
+    `watch:${watch.owner}:${watch.id}`,
+    JSON.stringify(watch),
+    { expiration: Math.max(expiration, Math.floor(Date.now() / 1000) + 3600) }
+  );
+}
+
+/**
+ * Strip the owner and device IDs from a watch before returning it to the client
+ */
+function toPublicWatch(watch) {
+  const { owner, clientId, ...publicWatch } = watch;
+  return publicWatch;
+}
+
+/**
+ * Handle VAPID public key request, needed by the browser to subscribe
+ */
+function handlePushPublicKey(env, allowedOrigin) {
+  if (!env.VAPID_PUBLIC_KEY) {
+    return jsonResponse({ error: 'Push notifications are not configured' }, { status: 501, allowedOrigin });
+  }
+  return jsonResponse({ publicKey: env.VAPID_PUBLIC_KEY }, { allowedOrigin });
+}
+
+/**
+ * Handle push subscribe request
+ * Subscriptions belong to the session's owner and a device (X-Client-Id), and only that
+ * owner's watches notify them; a device may have one subscription per browser, keyed by endpoint
+ */
+async function handlePushSubscribe(request, env, allowedOrigin) {
+  try {
+    const clientId = request.headers.get('X-Client-Id');
+    const { subscription } = await request.json();
+    
+    if (!clientId || !subscription?.endpoint || !subscription.keys?.p256dh || !subscription.keys?.auth) {
+      return jsonResponse(
+        { error: 'Missing required parameters: X-Client-Id, subscription' },
+        { status: 400, allowedOrigin }
+      );
+    }
+    
+    if (!env.USER_DATA) {
+      return jsonResponse({ error: 'Push notifications are not configured' }, { status: 501, allowedOrigin });
+    }
+    
+    const session = await getSession(request, env);
+    if (!session) {
+      return sessionExpiredResponse(allowedOrigin);
+    }
+    
+    const key = `push:${session.owner}:${clientId}`;
+    const subscriptions = (await env.USER_DATA.get(key, 'json') || [])
+      .filter((existing) => existing.endpoint !== subscription.endpoint);
+    subscriptions.push({ endpoint: subscription.endpoint, keys: subscription.keys });
+    await savePushSubscriptions(env, key, subscriptions);
+    
+    return jsonResponse({ subscribed: true }, { status: 201, allowedOrigin });
+  } catch (error) {
+    console.error('Push subscribe error:', error);
+    return jsonResponse(
+      { error: `Push subscribe error: ${error.message}` },
+      { status: 500, allowedOrigin }
+    );
+  }
+}
+
+/**
+ * Handle push unsubscribe request
+ */
+async function handlePushUnsubscribe(request, env, allowedOrigin) {
+  try {
+    const clientId = request.headers.get('X-Client-Id');
+    const { endpoint } = await request.json();
+    
+    if (!clientId || !endpoint) {
+      return jsonResponse(
+        { error: 'Missing required parameters: X-Client-Id, endpoint' },
+        { status: 400, allowedOrigin }
+      );
+    }
+    
+    if (!env.USER_DATA) {
+      return jsonResponse({ error: 'Push notifications are not configured' }, { status: 501, allowedOrigin });
+    }
+    
+    const session = await getSession(request, env);
+    if (!session) {
+      return sessionExpiredResponse(allowedOrigin);
+    }
+    
+    await removePushSubscriptions(env, `push:${session.owner}:${clientId}`, [endpoint]);
+    return jsonResponse({ subscribed: false }, { allowedOrigin });
+  } catch (error) {
+    console.error('Push unsubscribe error:', error);
+    return jsonResponse(
+      { error: `Push unsubscribe error: ${error.message}` },
+      { status: 500, allowedOrigin }
+    );
+  }
+}
+
+/**
+ * Send a push notification to every subscription an owner made on a device
+ * Subscriptions the push service reports as gone are removed
+ */
+async function notifyClient(env, owner, clientId, payload) {
+  if (!env.VAPID_PUBLIC_KEY || !env.VAPID_PRIVATE_KEY) return;
+  
+  const key = `push:${owner}:${clientId}`;
+  const subscriptions = await env.USER_DATA.get(key, 'json') || [];
+  const vapid = {
+    publicKey: env.VAPID_PUBLIC_KEY,
+    privateKey: env.VAPID_PRIVATE_KEY,
+    subject: env.VAPID_SUBJECT || 'https://adielbm.github.io',
+  };
+  
+  const expired = [];
+  for (const subscription of subscriptions) {
+    try {
+      const response = await sendPushNotification(subscription, payload, vapid);
+      if (response.status === 404 || response.status === 410) {
+        expired.push(subscription.endpoint);
+      } else if (!response.ok) {
+        console.error(`Push failed: HTTP ${response.status}`);
+      }
+    } catch (error) {
+      console.error('Push error:', error);
+    }
+  }
+  
+  if (expired.length > 0) {
+    await removePushSubscriptions(env, key, expired);
+  }
+}
+
+/**
+ * Remove push subscriptions by endpoint
+ */
+async function removePushSubscriptions(env, key, endpoints) {
+  const subscriptions = (await env.USER_DATA.get(key, 'json') || [])
+    .filter((subscription) => !endpoints.includes(subscription.endpoint));
+  
+  if (subscriptions.length > 0) {
+    await savePushSubscriptions(env, key, subscriptions);
+  } else {
+    await env.USER_DATA.delete(key);
+  }
+}
+
+/**
+ * Store the push subscriptions of an owner's device
+ */
+async function savePushSubscriptions(env, key, subscriptions) {
+  await env.USER_DATA.put(key, JSON.stringify(subscriptions), { expirationTtl: PUSH_SUBSCRIPTION_TTL });
+}
+
+/**
+ * Search court availability for a list of { unitId, date, timeSlot } jobs
+ * Jobs are started in order and run as concurrently as the scheduler allows;
+ * onResult is awaited for every job, one at a time, in the order results arrive.
+ * Stops starting new jobs once the session turns out to be logged out or signal
+ * aborts (the client went away); requests already in flight still finish.
+ * Full slots outside the unit's opening hours are reported as closed.
+ * With record, results are also recorded in the availability history; only searches
+ * a user asked for are, so rescans and watch checks don't skew it.
+ */
+async function searchSlots(env, jobs, session, onResult, { signal, record = false } = {}) {
+  const config = getSchedulerConfig(env);
+  const scheduler = new UpstreamScheduler(session.sessionId, config);
+  const queue = [...jobs];
+  const searched = [];
+  const openingHours = new Map(); // unitId -> learned opening hours, read once per search
+  let reported = Promise.resolve();
+  let sessionExpired = false;
+  
+  const getUnitOpeningHours = (unitId) => {
+    if (!openingHours.has(unitId)) {
+      openingHours.set(unitId, getOpeningHours(env, unitId));
+    }
+    return openingHours.get(unitId);
+  };
+  
+  const runWorker = async () => {
+    while (queue.length > 0 && !sessionExpired && !signal?.aborted) {
+      const job = queue.shift();
+      try {
+        const result = await searchSlot(env, job, session, scheduler, signal);
+        // The site answers "no courts" for hours the center is closed too
+        if (result.data.status === 'full' && !isWithinOpeningHours(job, await getUnitOpeningHours(job.unitId))) {
+          result.data = { ...result.data, status: 'closed' };
+        }
+        searched.push(result);
+        if (sessionExpired) return;
+        reported = reported.then(() => onResult(result));
+        await reported;
+      } catch (error) {
+        // Called off while waiting for the scheduler: nothing to report
+        if (signal?.aborted && error.name === 'AbortError') return;
+        sessionExpired = sessionExpired || error instanceof SessionExpiredError;
+        throw error;
+      }
+    }
+  };
+  
+  // The scheduler decides how many requests are really in flight; these only keep it fed
+  const workers = Array.from({ length: Math.min(jobs.length, config.maxConcurrency) }, runWorker);
+  try {
+    await Promise.all(workers);
+  } finally {
+    if (record) {
+      await recordSnapshots(env, searched);
+    }
+  }
+}
+
+/**
+ * Check whether a booking of a job's slot falls within the unit's opening hours on its date
+ */
+function isWithinOpeningHours(job, openingHours) {
+  const [day, month, year] = job.date.split('/').map(Number);
+  const openSlots = getValidTimeSlots(new Date(year, month - 1, day), openingHours);
+  return fitsOpeningHours(job.timeSlot, job.duration || '1', openSlots);
+}
+
+/**
+ * Search a single time slot of a unit on the upstream site
+ * Throws SessionExpiredError if the session was logged out, and the abort error if
+ * signal called the search off; failures left after the scheduler's retries become
+ * error results
+ */
+async function searchSlot(env, job, session, scheduler, signal) {
+  const { unitId, date, timeSlot, courtType = DEFAULT_COURT_TYPE, duration = '1' } = job;
+  const targetBaseUrl = env.TARGET_BASE_URL || 'https://center.tennis.org.il';
+  
+  const formData = new URLSearchParams();
+  formData.append('utf8', '✓');
+  formData.append('authenticity_token', session.authenticityToken);
+  formData.append('search[unit_id]', unitId);
+  formData.append('search[court_type]', courtType);
+  formData.append('search[start_date]', date);
+  formData.append('search[start_hour]', timeSlot);
+  formData.append('search[duration]', duration);
+  
+  try {
+    const response = await scheduler.fetch(`${targetBaseUrl}/self_services/search_court.js`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Cookie': session.sessionId,
+      },
+      body: formData.toString(),
+      signal,
+    });
+    
+    if (!response.ok) {
+      return { ...job, data: { status: 'error', error: `HTTP ${response.status}` } };
+    }
+    
+    const responseText = await response.text();
+    if (isLoggedOutResponse(response, responseText)) {
+      throw new SessionExpiredError();
+    }
+    return { ...job, data: parseCourtAvailability(responseText) };
+  } catch (error) {
+    if (error instanceof SessionExpiredError || signal?.aborted) {
+      throw error;
+    }
+    return { ...job, data: { status: 'error', error: error.message } };
+  }
+}
+
+/**
+ * Search jobs through the per-slot cache (stale-while-revalidate)
+ * Cached results are reported first, marked { cached: true, age, stale } with their age
+ * in seconds; stale and uncached slots are then searched, cached and reported as fresh
+ * results. With options.refresh the cache is only written, not read; options.signal
+ * stops the search and options.record records it in the history (see searchSlots).
+ */
+async function searchSlotsCached(env, jobs, session, options, onResult) {
+  const cachedResults = options.refresh
+    ? []
+    : await Promise.all(jobs.map((job) => getCachedSlot(env, job)));
+  
+  const jobsToSearch = [];
+  for (const [index, job] of jobs.entries()) {
+    const cached = cachedResults[index];
+    if (cached) {
+      await onResult({ ...job, data: cached.data, cached: true, age: cached.age, stale: cached.stale });
+    }
+    if (!cached || cached.stale) {
+      jobsToSearch.push(job);
+    }
+  }
+  
+  await searchSlots(env, jobsToSearch, session, async (result) => {
+    await cacheSlot(env, result);
+    await onResult(result);
+  }, { signal: options.signal, record: options.record });
+}
+
+/**
+ * Get the KV cache key for one time slot of a unit on a date, for a court type and booking duration
+ */
+function getCacheKey(unitId, date, courtType, duration, timeSlot) {
+  return `${SLOT_CACHE_PREFIX}:${unitId}:${date}:${courtType}:${duration}:${timeSlot}`;
+}
+
+/**
+ * Read the cached result of a job's slot
+ * Returns { data, age, stale } with the age in seconds, or null on a miss
+ */
+async function getCachedSlot(env, job) {
+  if (!env.COURTS_CACHE) return null;
+  
+  const { unitId, date, courtType, duration, timeSlot } = job;
+  const cached = await env.COURTS_CACHE.get(getCacheKey(unitId, date, courtType, duration, timeSlot), 'json');
+  if (!cached) return null;
+  
+  const age = Math.floor((Date.now() - cached.cachedAt) / 1000);
+  return { data: cached.data, age, stale: age >= cached.ttl };
+}
+
+/**
+ * Cache the search result of a job's slot
+ * Errors are not cached so the next search retries them
+ */
+async function cacheSlot(env, { unitId, date, courtType, duration, timeSlot, data }) {
+  if (!env.COURTS_CACHE || data.status === 'error') return;
+  
+  const ttl = getSlotCacheTtl(date, timeSlot);
+  await env.COURTS_CACHE.put(
+    getCacheKey(unitId, date, courtType, duration, timeSlot),
+    JSON.stringify({ data, cachedAt: Date.now(), ttl }),
+    { expirationTtl: ttl * STALE_TTL_FACTOR }
+  );
+}
+
+/**
+ * Delete every cached slot whose key starts with a prefix
+ */
+async function deleteCachedSlots(env, prefix) {
+  let cursor;
+  do {
+    const page = await env.COURTS_CACHE.list({ prefix, cursor });
+    for (const { name } of page.keys) {
+      await env.COURTS_CACHE.delete(name);
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+}
+
+/**
+ * Seconds a slot result stays fresh, depending on how soon the slot starts
+ */
+function getSlotCacheTtl(date, timeSlot) {
+  const hoursAhead = getHoursAhead(date, timeSlot);
+  return SLOT_CACHE_TTLS.find(({ withinHours }) => hoursAhead < withinHours).ttl;
+}
+
+/**
+ * Whole hours from now (Israel time) until a slot on a DD/MM/YYYY date starts
+ */
+function getHoursAhead(date, timeSlot) {
+  const now = getIsraelNow();
+  const toDays = (value) => {
+    const [day, month, year] = value.split('/').map(Number);
+    return Date.UTC(year, month - 1, day) / 86400000;
+  };
+  return (toDays(date) - toDays(now.date)) * 24 + parseInt(timeSlot, 10) - now.hour;
+}
+
+/**
+ * Create a Server-Sent Events stream with CORS headers
+ * Its signal aborts once the client disconnects; events sent after that are dropped.
+ * Events sent with an id get an id: field for the client to resume from.
+ */
+function createEventStream(allowedOrigin) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  
+  // The client going away cancels the readable side, which errors the writer
+  const disconnected = new AbortController();
+  writer.closed.catch(() => disconnected.abort());
+  
+  return {
+    response: new Response(readable, {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': allowedOrigin,
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, X-Auth-Token, X-Client-Id, Last-Event-ID',
+      },
+    }),
+    signal: disconnected.signal,
+    send: (data, id) => disconnected.signal.aborted
+      ? Promise.resolve()
+      : writer.write(encoder.encode(`${id ? `id: ${id}\n` : ''}data: ${JSON.stringify(data)}\n\n`)).catch(() => disconnected.abort()),
+    close: () => writer.close().catch(() => {}),
+  };
 }
 
 /**
@@ -435,8 +2428,7 @@ function jsonResponse(data, options = {}) {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': allowedOrigin,
       'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, X-Session-Cookie, X-Auth-Token',
-      'Access-Control-Expose-Headers': 'X-Session-Cookie',
+      'Access-Control-Allow-Headers': 'Content-Type, X-Auth-Token, X-Client-Id, Last-Event-ID',
     },
   });
 }
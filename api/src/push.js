@@ -0,0 +1,164 @@
+/**
+ * Web Push sending for Cloudflare Workers
+ *
+ * Implements VAPID authentication (RFC 8292) and aes128gcm payload
+ * encryption (RFC 8291) with WebCrypto only, so no dependencies are needed.
+ */
+
+const encoder = new TextEncoder();
+
+// How long the push service keeps an undelivered notification (seconds)
+const PUSH_TTL = 3600;
+
+/**
+ * Send a push message to a subscription
+ * @param {Object} subscription - PushSubscription JSON ({ endpoint, keys: { p256dh, auth } })
+ * @param {Object} payload - JSON payload delivered to the service worker
+ * @param {Object} vapid - { publicKey, privateKey, subject } with base64url keys
+ * @returns {Promise<Response>} Push service response (404/410 mean the subscription is gone)
+ */
+export async function sendPushNotification(subscription, payload, vapid) {
+  const endpoint = new URL(subscription.endpoint);
+  const jwt = await createVapidJwt(`${endpoint.protocol}//${endpoint.host}`, vapid);
+  const body = await encryptPayload(subscription.keys, encoder.encode(JSON.stringify(payload)));
+
+  return fetch(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      'Content-Encoding': 'aes128gcm',
+      'TTL': String(PUSH_TTL),
+      'Urgency': 'high',
+      'Authorization': `vapid t=${jwt}, k=${vapid.publicKey}`,
+    },
+    body,
+  });
+}
+
+/**
+ * Create the signed VAPID JWT for a push service origin
+ */
+async function createVapidJwt(audience, vapid) {
+  const header = base64UrlEncode(encoder.encode(JSON.stringify({ typ: 'JWT', alg: 'ES256' })));
+  const claims = base64UrlEncode(encoder.encode(JSON.stringify({
+    aud: audience,
+    exp: Math.floor(Date.now() / 1000) + 12 * 3600,
+    sub: vapid.subject,
+  })));
+  const unsignedToken = `${header}.${claims}`;
+
+  // The public key is an uncompressed P-256 point: 0x04 || x || y
+  const publicKey = base64UrlDecode(vapid.publicKey);
+  const privateKey = await crypto.subtle.importKey(
+    'jwk',
+    {
+      kty: 'EC',
+      crv: 'P-256',
+      x: base64UrlEncode(publicKey.slice(1, 33)),
+      y: base64UrlEncode(publicKey.slice(33, 65)),
+      d: vapid.privateKey,
+      ext: true,
+    },
+    { name: 'ECDSA', namedCurve: 'P-256' },
+    false,
+    ['sign']
+  );
+
+  const signature = await crypto.subtle.sign(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    privateKey,
+    encoder.encode(unsignedToken)
+  );
+
+  return `${unsignedToken}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+/**
+ * Encrypt a payload for a subscription as a single aes128gcm record
+ */
+async function encryptPayload(keys, plaintext) {
+  const userAgentPublicKey = base64UrlDecode(keys.p256dh);
+  const authSecret = base64UrlDecode(keys.auth);
+
+  // Ephemeral application server key pair, one per message
+  const serverKeyPair = await crypto.subtle.generateKey(
+    { name: 'ECDH', namedCurve: 'P-256' },
+    true,
+    ['deriveBits']
+  );
+  const serverPublicKey = new Uint8Array(await crypto.subtle.exportKey('raw', serverKeyPair.publicKey));
+
+  const userAgentKey = await crypto.subtle.importKey(
+    'raw',
+    userAgentPublicKey,
+    { name: 'ECDH', namedCurve: 'P-256' },
+    false,
+    []
+  );
+  const sharedSecret = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'ECDH', public: userAgentKey },
+    serverKeyPair.privateKey,
+    256
+  ));
+
+  const keyInfo = concat(encoder.encode('WebPush: info\0'), userAgentPublicKey, serverPublicKey);
+  const ikm = await hkdf(authSecret, sharedSecret, keyInfo, 32);
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const contentKey = await hkdf(salt, ikm, encoder.encode('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = await hkdf(salt, ikm, encoder.encode('Content-Encoding: nonce\0'), 12);
+
+  const aesKey = await crypto.subtle.importKey('raw', contentKey, 'AES-GCM', false, ['encrypt']);
+  // 0x02 marks the last (and only) record
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: nonce },
+    aesKey,
+    concat(plaintext, new Uint8Array([2]))
+  ));
+
+  // Header: salt (16) || record size (4) || key ID length (1) || key ID (server public key)
+  const header = new Uint8Array(16 + 4 + 1 + serverPublicKey.length);
+  header.set(salt, 0);
+  new DataView(header.buffer).setUint32(16, 4096);
+  header[20] = serverPublicKey.length;
+  header.set(serverPublicKey, 21);
+
+  return concat(header, ciphertext);
+}
+
+/**
+ * HKDF-SHA-256 (extract and expand)
+ */
+async function hkdf(salt, ikm, info, length) {
+  const key = await crypto.subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt, info },
+    key,
+    length * 8
+  );
+  return new Uint8Array(bits);
+}
+
+function concat(...arrays) {
+  const result = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+  let offset = 0;
+  for (const array of arrays) {
+    result.set(array, offset);
+    offset += array.length;
+  }
+  return result;
+}
+
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
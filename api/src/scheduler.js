@@ -0,0 +1,252 @@
+/**
+ * Request scheduler for the upstream site
+ *
+ * Searches go through a scheduler instead of fixed batches. Its concurrency
+ * adapts to the site (AIMD): it grows by one after a round of fast, clean
+ * responses and halves on slow responses, errors and throttling. Transient
+ * failures (5xx, 429, timeouts, network errors) are retried with jittered
+ * exponential backoff. On top of that every session has a cap on requests in
+ * flight, shared by all of its searches in this isolate, so one user running
+ * several searches at once can't flood the site.
+ *
+ * Both limits are per isolate: the session cap is kept in module scope, and each
+ * Worker isolate (and each SearchCoordinator Durable Object) has its own. Nothing
+ * bounds the total load of all users together or of one session across isolates;
+ * identical searches are merged by SearchCoordinator instead.
+ *
+ * Limits come from wrangler.toml vars (see getSchedulerConfig).
+ */
+
+const DEFAULTS = {
+  minConcurrency: 1,
+  initialConcurrency: 2,
+  maxConcurrency: 6,
+  sessionConcurrency: 4,
+  slowResponseMs: 2500,
+  requestTimeoutMs: 10000,
+  maxRetries: 2,
+  retryBaseDelayMs: 250,
+  retryMaxDelayMs: 4000,
+};
+
+// wrangler.toml var for each setting
+const ENV_VARS = {
+  minConcurrency: 'UPSTREAM_MIN_CONCURRENCY',
+  initialConcurrency: 'UPSTREAM_INITIAL_CONCURRENCY',
+  maxConcurrency: 'UPSTREAM_MAX_CONCURRENCY',
+  sessionConcurrency: 'UPSTREAM_SESSION_CONCURRENCY',
+  slowResponseMs: 'UPSTREAM_SLOW_RESPONSE_MS',
+  requestTimeoutMs: 'UPSTREAM_TIMEOUT_MS',
+  maxRetries: 'UPSTREAM_MAX_RETRIES',
+  retryBaseDelayMs: 'UPSTREAM_RETRY_BASE_DELAY_MS',
+  retryMaxDelayMs: 'UPSTREAM_RETRY_MAX_DELAY_MS',
+};
+
+// Session key -> Limiter shared by every search of that session in this isolate
+const sessionLimiters = new Map();
+
+/**
+ * Read the scheduler limits from the environment, falling back to the defaults
+ */
+export function getSchedulerConfig(env) {
+  const config = {};
+  for (const [key, name] of Object.entries(ENV_VARS)) {
+    const value = Number(env[name]);
+    config[key] = env[name] !== undefined && env[name] !== '' && Number.isFinite(value) && value >= 0
+      ? value
+      : DEFAULTS[key];
+  }
+  config.minConcurrency = Math.max(1, config.minConcurrency);
+  config.maxConcurrency = Math.max(config.minConcurrency, config.maxConcurrency);
+  config.initialConcurrency = Math.min(Math.max(config.initialConcurrency, config.minConcurrency), config.maxConcurrency);
+  config.sessionConcurrency = Math.max(1, config.sessionConcurrency);
+  return config;
+}
+
+/**
+ * Counting semaphore
+ */
+class Limiter {
+  constructor(limit) {
+    this.limit = limit;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  async acquire() {
+    while (this.active >= this.limit) {
+      await new Promise((resolve) => this.waiting.push(resolve));
+    }
+    this.active++;
+  }
+
+  release() {
+    this.active--;
+    this.wake();
+  }
+
+  /**
+   * Let waiters re-check the limit, e.g. after it was raised
+   */
+  wake() {
+    const waiting = this.waiting;
+    this.waiting = [];
+    waiting.forEach((resolve) => resolve());
+  }
+}
+
+/**
+ * Schedules the upstream requests of one search
+ */
+export class UpstreamScheduler {
+  /**
+   * @param {string} sessionKey - Identifies the site session the requests are made with
+   * @param {Object} config - Limits from getSchedulerConfig
+   */
+  constructor(sessionKey, config) {
+    this.sessionKey = sessionKey;
+    this.config = config;
+    this.limiter = new Limiter(config.initialConcurrency);
+    this.cleanResponses = 0;
+  }
+
+  /**
+   * fetch() through the scheduler
+   * Resolves with the final response (which may still be a 5xx or 429 once retries
+   * run out) and rejects with the last network or timeout error. init.signal calls
+   * the request off, whether it is waiting for a slot, in flight or waiting to be
+   * retried, and rejects with its reason.
+   */
+  async fetch(url, init = {}) {
+    const { maxRetries } = this.config;
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      let error;
+      try {
+        response = await this.attempt(url, init);
+      } catch (attemptError) {
+        error = attemptError;
+      }
+
+      const retryable = error ? isTransientError(error) : isTransientStatus(response.status);
+      if (!retryable || attempt >= maxRetries || init.signal?.aborted) {
+        if (error) throw error;
+        return response;
+      }
+
+      await sleep(this.getRetryDelay(attempt, response), init.signal);
+    }
+  }
+
+  /**
+   * Make one request once both this search and the session have a free slot
+   */
+  async attempt(url, init) {
+    const sessionLimiter = this.acquireSessionLimiter();
+    await this.limiter.acquire();
+    await sessionLimiter.acquire();
+
+    const startedAt = Date.now();
+    try {
+      init.signal?.throwIfAborted();
+      const timeout = AbortSignal.timeout(this.config.requestTimeoutMs);
+      const response = await fetch(url, {
+        ...init,
+        signal: init.signal ? AbortSignal.any([init.signal, timeout]) : timeout,
+      });
+      this.adjust(!isTransientStatus(response.status) && Date.now() - startedAt < this.config.slowResponseMs);
+      return response;
+    } catch (error) {
+      // A request called off says nothing about the site
+      if (!init.signal?.aborted) {
+        this.adjust(false);
+      }
+      throw error;
+    } finally {
+      sessionLimiter.release();
+      this.limiter.release();
+      this.releaseSessionLimiter(sessionLimiter);
+    }
+  }
+
+  /**
+   * Additive increase after a full round of clean responses, multiplicative decrease otherwise
+   */
+  adjust(clean) {
+    const { minConcurrency, maxConcurrency } = this.config;
+
+    if (!clean) {
+      this.limiter.limit = Math.max(minConcurrency, Math.floor(this.limiter.limit / 2));
+      this.cleanResponses = 0;
+      return;
+    }
+
+    this.cleanResponses++;
+    if (this.cleanResponses >= this.limiter.limit && this.limiter.limit < maxConcurrency) {
+      this.limiter.limit++;
+      this.cleanResponses = 0;
+      this.limiter.wake();
+    }
+  }
+
+  /**
+   * Full-jitter exponential backoff, or the site's Retry-After when it sends one
+   */
+  getRetryDelay(attempt, response) {
+    const { retryBaseDelayMs, retryMaxDelayMs } = this.config;
+
+    const retryAfter = Number(response?.headers.get('Retry-After'));
+    if (retryAfter > 0) {
+      return Math.min(retryAfter * 1000, retryMaxDelayMs);
+    }
+    return Math.random() * Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** attempt);
+  }
+
+  acquireSessionLimiter() {
+    let sessionLimiter = sessionLimiters.get(this.sessionKey);
+    if (!sessionLimiter) {
+      sessionLimiter = new Limiter(this.config.sessionConcurrency);
+      sessionLimiter.users = 0;
+      sessionLimiters.set(this.sessionKey, sessionLimiter);
+    }
+    sessionLimiter.users++;
+    return sessionLimiter;
+  }
+
+  releaseSessionLimiter(sessionLimiter) {
+    sessionLimiter.users--;
+    if (sessionLimiter.users === 0) {
+      sessionLimiters.delete(this.sessionKey);
+    }
+  }
+}
+
+function isTransientStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Timeouts and network failures; anything else is a bug and not worth retrying
+ */
+function isTransientError(error) {
+  return error.name === 'TimeoutError' || error.name === 'AbortError' || error instanceof TypeError;
+}
+
+/**
+ * Wait ms milliseconds, or reject with signal's reason as soon as it aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
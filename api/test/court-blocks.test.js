@@ -0,0 +1,108 @@
+/**
+ * How findCourtBlocks (public/utils.js) stitches search results into blocks of
+ * back-to-back bookings on one court
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findCourtBlocks, formatMinutes } from '../../public/utils.js';
+
+const DATE = new Date(2030, 5, 12);
+
+/**
+ * Search results of the courts screen: time -> [[courtNumber, startTime, endTime]]
+ * (endTime left out when the site doesn't send one)
+ */
+function search(courtsByTime) {
+  const slots = [];
+  const results = new Map();
+  for (const [time, courts] of Object.entries(courtsByTime)) {
+    slots.push({ date: DATE, time });
+    results.set(`12/06/2030_${time}`, courts === 'full'
+      ? { status: 'full', courts: [], slots: [] }
+      : {
+        status: 'available',
+        courts: courts.map(([courtNumber]) => courtNumber),
+        slots: courts.map(([courtNumber, startTime, endTime]) => ({
+          courtNumber,
+          startTime: `12/06/2030 ${startTime}`,
+          endTime: endTime && `12/06/2030 ${endTime}`,
+        })),
+      });
+  }
+  return { slots, results };
+}
+
+const summary = (blocks) => blocks.map((block) =>
+  `${block.courtNumber} ${formatMinutes(block.start)}-${formatMinutes(block.end)} x${block.slots.length}`
+);
+
+test('back-to-back bookings on a court form one block', () => {
+  const { slots, results } = search({
+    '18:00': [[3, '18:00', '19:00'], [4, '18:00', '19:00']],
+    '19:00': [[3, '19:00', '20:00']],
+    '20:00': [[3, '20:00', '21:00'], [4, '20:00', '21:00']],
+  });
+
+  const blocks = findCourtBlocks(slots, results, '1', 2);
+
+  assert.deepEqual(summary(blocks), ['3 18:00-21:00 x3']);
+  assert.deepEqual(blocks[0].slots.map((slot) => slot.time), ['18:00', '19:00', '20:00']);
+});
+
+test('a gap splits a court into separate blocks', () => {
+  const { slots, results } = search({
+    '17:00': [[3, '17:00', '18:00']],
+    '18:00': [[3, '18:00', '19:00']],
+    '19:00': 'full',
+    '20:00': [[3, '20:00', '21:00']],
+    '21:00': [[3, '21:00', '22:00']],
+  });
+
+  assert.deepEqual(summary(findCourtBlocks(slots, results, '1', 2)), ['3 17:00-19:00 x2', '3 20:00-22:00 x2']);
+  assert.deepEqual(findCourtBlocks(slots, results, '1', 3), []);
+});
+
+test('half-hour starts chain with each other, not with the hours', () => {
+  const { slots, results } = search({
+    '18:00': [[5, '18:00', '19:00']],
+    '18:30': [[5, '18:30', '19:30']],
+    '19:30': [[5, '19:30', '20:30']],
+  });
+
+  assert.deepEqual(summary(findCourtBlocks(slots, results, '1', 2)), ['5 18:30-20:30 x2']);
+});
+
+test('a block ends at closing time and bookings without an end last the duration', () => {
+  const { slots, results } = search({
+    '19:30': [[2, '19:30']],
+    '21:00': [[2, '21:00', '22:30']],
+  });
+
+  assert.deepEqual(summary(findCourtBlocks(slots, results, '1.5', 3)), ['2 19:30-22:30 x2']);
+});
+
+test('bookings past midnight end on the next day', () => {
+  const { slots, results } = search({
+    '00:00': [[1, '00:00', '01:00']],
+    '22:00': [[1, '22:00', '23:00']],
+    '23:00': [[1, '23:00', '00:00']],
+  });
+
+  const blocks = findCourtBlocks(slots, results, '1', 2);
+
+  assert.deepEqual(summary(blocks), ['1 22:00-00:00 x2']);
+  assert.equal(blocks[0].end, 24 * 60);
+});
+
+test('a booking listed under several searched times counts once', () => {
+  const { slots, results } = search({
+    '18:00': [[6, '18:00', '19:00']],
+    '18:30': [[6, '18:00', '19:00']],
+    '19:00': [[6, '19:00', '20:00']],
+  });
+
+  assert.deepEqual(summary(findCourtBlocks(slots, results, '1', 2)), ['6 18:00-20:00 x2']);
+});
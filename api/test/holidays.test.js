@@ -0,0 +1,69 @@
+/**
+ * The holiday calendar of public/holidays.js against the published dates for
+ * 2025-2029, Independence Day's moves included
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getHoliday } from '../../public/holidays.js';
+import { getDayType } from '../../public/utils.js';
+
+const day = (isoDate) => {
+  const [year, month, date] = isoDate.split('-').map(Number);
+  return new Date(year, month - 1, date);
+};
+
+const holiday = (name) => ({ name, type: 'holiday', closed: false });
+const eve = (name) => ({ name, type: 'eve', closed: false });
+
+// Memorial Day, Independence Day, first day of Passover, Shavuot, Rosh Hashanah, Yom Kippur
+const CALENDAR = {
+  2025: ['2025-04-30', '2025-05-01', '2025-04-13', '2025-06-02', '2025-09-23', '2025-10-02'],
+  2026: ['2026-04-21', '2026-04-22', '2026-04-02', '2026-05-22', '2026-09-12', '2026-09-21'],
+  2027: ['2027-05-11', '2027-05-12', '2027-04-22', '2027-06-11', '2027-10-02', '2027-10-11'],
+  2028: ['2028-05-01', '2028-05-02', '2028-04-11', '2028-05-31', '2028-09-21', '2028-09-30'],
+  2029: ['2029-04-18', '2029-04-19', '2029-03-31', '2029-05-20', '2029-09-10', '2029-09-19'],
+};
+
+for (const [year, [memorialDay, independenceDay, passover, shavuot, roshHashanah, yomKippur]] of Object.entries(CALENDAR)) {
+  test(`holidays of ${year}`, () => {
+    assert.deepEqual(getHoliday(day(memorialDay)), eve('יום הזיכרון'));
+    assert.deepEqual(getHoliday(day(independenceDay)), holiday('יום העצמאות'));
+    assert.deepEqual(getHoliday(day(passover)), holiday('פסח'));
+    assert.deepEqual(getHoliday(day(shavuot)), holiday('שבועות'));
+    assert.deepEqual(getHoliday(day(roshHashanah)), holiday('ראש השנה'));
+    assert.deepEqual(getHoliday(day(yomKippur)), { name: 'יום כיפור', type: 'holiday', closed: true });
+
+    const passoverEve = day(passover);
+    passoverEve.setDate(passoverEve.getDate() - 1);
+    assert.deepEqual(getHoliday(passoverEve), eve('ערב פסח'));
+  });
+}
+
+test('Independence Day moves off Fridays, Saturdays and Mondays', () => {
+  // 5 Iyar 5785 is a Saturday: moved back to Thursday
+  assert.equal(getHoliday(day('2025-05-03')), null);
+  // 5 Iyar 5788 is a Monday: moved on to Tuesday, with Memorial Day on the Monday
+  assert.deepEqual(getHoliday(day('2028-05-01')), eve('יום הזיכרון'));
+  // 5 Iyar 5789 is a Friday: moved back to Thursday
+  assert.equal(getHoliday(day('2029-04-20')), null);
+  // 5 Iyar 5786 is a Wednesday: kept
+  assert.deepEqual(getHoliday(day('2026-04-22')), holiday('יום העצמאות'));
+});
+
+test('ordinary days are not holidays', () => {
+  assert.equal(getHoliday(day('2026-06-10')), null);
+  assert.equal(getHoliday(day('2029-11-13')), null);
+});
+
+test('day types follow the holidays', () => {
+  assert.equal(getDayType(day('2025-10-02')), 'closed');
+  assert.equal(getDayType(day('2025-10-01')), 'eve');
+  assert.equal(getDayType(day('2028-05-02')), 'holiday');
+  assert.equal(getDayType(day('2028-05-01')), 'eve');
+  assert.equal(getDayType(day('2026-06-12')), 'eve');
+  assert.equal(getDayType(day('2026-06-13')), 'holiday');
+  assert.equal(getDayType(day('2026-06-10')), 'weekday');
+});
@@ -0,0 +1,176 @@
+/**
+ * What the shared parsers make of the upstream responses in fixtures/
+ *
+ *   npm test
+ *
+ * Every fixture has an expectation here; npm run parse-fixture prints the full
+ * parser output when one of them needs updating.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  extractAuthenticityToken,
+  isLoginPage,
+  parseActionResult,
+  parseCourtAvailability,
+  parseCourtTypes,
+  parseReservations,
+  parseReservationsLink,
+  parseSubmitForm,
+  parseTimeSlots,
+  parseUnits,
+} from '../../public/html-parser.js';
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+const readFixture = (name) => readFile(join(fixturesDir, name), 'utf8');
+
+const UNITS = [
+  { id: '2', name: 'רמת השרון' },
+  { id: '10', name: 'קרית אונו' },
+  { id: '13', name: 'תל אביב (יד אליהו)' },
+];
+
+const slot = (courtNumber) => ({
+  courtNumber,
+  courtId: 200 + courtNumber,
+  duration: 1,
+  startTime: '06/01/2030 19:00',
+  endTime: '06/01/2030 20:00',
+  bookingUrl: `/self_services/court_invitation_confirm?court_id=${200 + courtNumber}&duration=1.0&end_time=06%2F01%2F2030+20%3A00&start_time=06%2F01%2F2030+19%3A00`,
+});
+
+// Fixture -> check of the parser output for it
+const EXPECTATIONS = {
+  'search-available.js': (text) => {
+    assert.equal(isLoginPage(text), false);
+    assert.deepEqual(parseCourtAvailability(text), {
+      status: 'available',
+      courts: [3, 7, 12],
+      slots: [slot(3), slot(7), slot(12)],
+    });
+  },
+  'search-no-courts.js': (text) => {
+    assert.deepEqual(parseCourtAvailability(text), {
+      status: 'full',
+      courts: [],
+      slots: [],
+      suggestedTimes: ['17:00', '21:00', '08:00'],
+    });
+  },
+  'search-no-courts-plain.js': (text) => {
+    assert.deepEqual(parseCourtAvailability(text), { status: 'full', courts: [], slots: [], suggestedTimes: undefined });
+  },
+  'search-error.js': (text) => {
+    assert.deepEqual(parseCourtAvailability(text), { status: 'full', courts: [], slots: [], suggestedTimes: undefined });
+  },
+  // The Worker checks for the login page before parsing a search
+  'search-login-redirect.js': (text) => {
+    assert.equal(isLoginPage(text), true);
+  },
+  'set-time-by-unit.js': (text) => {
+    assert.deepEqual(parseTimeSlots(text), ['07:00', '08:00', '12:00', '12:30', '16:00', '21:30']);
+  },
+  'court-invitation-confirm.js': (text) => {
+    assert.deepEqual(parseSubmitForm(text), {
+      action: '/self_services/court_invitations.js',
+      method: 'post',
+      remote: true,
+      fields: [
+        ['utf8', '✓'],
+        ['authenticity_token', 'b7Yc/Q0wZ3Aa=='],
+        ['court_invitation[court_id]', '203'],
+        ['court_invitation[start_time]', '06/01/2030 19:00'],
+        ['court_invitation[end_time]', '06/01/2030 20:00'],
+        ['commit', 'אישור'],
+      ],
+    });
+  },
+  'create-invitation-success.js': (text) => {
+    assert.deepEqual(parseActionResult(text), { success: true, message: 'ההזמנה בוצעה בהצלחה! 06/01/2030 19:00' });
+  },
+  'create-invitation-taken.js': (text) => {
+    assert.deepEqual(parseActionResult(text), { success: false, message: 'המגרש כבר הוזמן, יש לבחור מועד אחר' });
+  },
+  'cancel-invitation-success.js': (text) => {
+    assert.deepEqual(parseActionResult(text), { success: true, message: 'ההזמנה בוטלה' });
+  },
+  'my-invitations.html': (text) => {
+    assert.deepEqual(parseReservations(text), [
+      {
+        center: 'רמת השרון',
+        courtNumber: 3,
+        date: '06/01/2030',
+        startTime: '19:00',
+        endTime: '20:00',
+        cancellable: true,
+        cancel: { action: '/self_services/cancel_invitation.js?invitation_id=1042', method: 'post', remote: true, fields: [] },
+      },
+      {
+        center: 'תל אביב (יד אליהו)',
+        courtNumber: 11,
+        date: '07/01/2030',
+        startTime: '08:00',
+        endTime: '09:30',
+        cancellable: false,
+        cancel: null,
+      },
+    ]);
+  },
+  // Another layout: details in fewer cells, a short date and a button_to form
+  'my-invitations-forms.html': (text) => {
+    assert.deepEqual(parseReservations(text), [
+      {
+        center: 'קרית אונו',
+        courtNumber: 4,
+        date: '07/01/2030',
+        startTime: '09:00',
+        endTime: '10:30',
+        cancellable: true,
+        cancel: {
+          action: '/self_services/court_invitations/1044',
+          method: 'post',
+          remote: false,
+          fields: [['_method', 'delete'], ['authenticity_token', 'b7Yc/Q0wZ3Aa==']],
+        },
+      },
+    ]);
+  },
+  'court-invitation.html': (text) => {
+    assert.equal(isLoginPage(text), false);
+    assert.equal(extractAuthenticityToken(text), 'b7Yc/Q0wZ3Aa==');
+    assert.deepEqual(parseUnits(text), UNITS);
+    assert.deepEqual(parseCourtTypes(text), [{ id: '1', name: 'טניס' }]);
+    assert.equal(parseReservationsLink(text), '/self_services/my_invitations');
+    // The first form that posts; the logout link in the navbar is no form
+    assert.equal(parseSubmitForm(text).action, '/self_services/search_court.js');
+  },
+  'court-invitation-court-types.html': (text) => {
+    assert.equal(extractAuthenticityToken(text), 'b7Yc/Q0wZ3Aa==');
+    assert.deepEqual(parseUnits(text), UNITS);
+    assert.deepEqual(parseCourtTypes(text), [{ id: '1', name: 'טניס' }, { id: '2', name: 'פאדל' }]);
+  },
+  'login-page.html': (text) => {
+    assert.equal(isLoginPage(text), true);
+    assert.equal(extractAuthenticityToken(text), 'Xq9+k2zFh1bQ==');
+  },
+  'login-redirect.html': (text) => {
+    assert.equal(isLoginPage(text), true);
+    assert.equal(extractAuthenticityToken(text), null);
+  },
+};
+
+for (const [name, check] of Object.entries(EXPECTATIONS)) {
+  test(name, async () => {
+    check(await readFixture(name));
+  });
+}
+
+test('every fixture has an expectation', async () => {
+  const names = (await readdir(fixturesDir)).sort();
+  assert.deepEqual(names, Object.keys(EXPECTATIONS).sort());
+});
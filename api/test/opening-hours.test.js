@@ -0,0 +1,145 @@
+/**
+ * How opening hours are learned from the site, and what the Worker searches when
+ * set_time_by_unit fails, with the site stubbed by replacing globalThis.fetch
+ *
+ *   npm test
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import worker from '../src/index.js';
+import { getValidTimeSlots, learnOpeningHours } from '../../public/utils.js';
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+const readFixture = (name) => readFile(join(fixturesDir, name), 'utf8');
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+// An ordinary Wednesday and Thursday, a Friday and a Saturday
+const WEDNESDAY = new Date(2030, 5, 12);
+const THURSDAY = new Date(2030, 5, 13);
+const FRIDAY = new Date(2030, 5, 14);
+const SATURDAY = new Date(2030, 5, 15);
+
+const LEARNED = ['07:00', '08:00', '12:00', '12:30', '16:00', '21:30'];
+
+// The learned slots an hour's booking fits in: 12:30 and 21:30 run into hours not offered
+const BOOKABLE = ['07:00', '08:00', '12:00', '16:00'];
+
+const hours = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => `${String(from + i).padStart(2, '0')}:00`);
+
+/**
+ * In-memory stand-in for a KV namespace
+ */
+class MemoryKV {
+  constructor(entries = {}) {
+    this.entries = new Map(Object.entries(entries));
+  }
+
+  async get(key, type) {
+    const value = this.entries.get(key);
+    if (value === undefined) return null;
+    return type === 'json' ? JSON.parse(value) : value;
+  }
+
+  async put(key, value) {
+    this.entries.set(key, String(value));
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+test('the usual hours are used until a day type is learned', () => {
+  assert.deepEqual(getValidTimeSlots(WEDNESDAY), hours(8, 22));
+  assert.deepEqual(getValidTimeSlots(FRIDAY), hours(7, 16));
+  assert.deepEqual(getValidTimeSlots(SATURDAY), [...hours(7, 12), ...hours(16, 21)]);
+});
+
+test('learned hours apply to every day of the same type', () => {
+  const openingHours = learnOpeningHours({}, WEDNESDAY, LEARNED);
+
+  assert.deepEqual(openingHours, { weekday: LEARNED });
+  assert.deepEqual(getValidTimeSlots(THURSDAY, openingHours), LEARNED);
+  assert.deepEqual(getValidTimeSlots(FRIDAY, openingHours), hours(7, 16));
+});
+
+test('nothing is learned from empty or unchanged answers', () => {
+  assert.equal(learnOpeningHours({}, WEDNESDAY, []), null);
+  assert.equal(learnOpeningHours({ weekday: LEARNED }, THURSDAY, [...LEARNED]), null);
+  assert.deepEqual(
+    learnOpeningHours({ weekday: LEARNED }, FRIDAY, ['07:00']),
+    { weekday: LEARNED, eve: ['07:00'] }
+  );
+});
+
+/**
+ * Answer set_time_by_unit with the given fixture (or a 503 without one) and
+ * every search with no courts
+ */
+async function stubUpstream(timeSlotsFixture) {
+  const timeSlots = timeSlotsFixture && await readFixture(timeSlotsFixture);
+  const noCourts = await readFixture('search-no-courts-plain.js');
+  globalThis.fetch = async (url) => {
+    if (String(url).endsWith('/set_time_by_unit')) {
+      return timeSlots
+        ? new Response(timeSlots, { headers: { 'Content-Type': 'text/javascript' } })
+        : new Response('Service Unavailable', { status: 503 });
+    }
+    return new Response(noCourts, { headers: { 'Content-Type': 'text/javascript' } });
+  };
+}
+
+/**
+ * Scan one date through the Worker and return the time slots of its day event
+ */
+async function scanTimeSlots(env, date) {
+  const response = await worker.fetch(new Request('https://worker.example/api/scan-dates', {
+    method: 'POST',
+    headers: { 'X-Auth-Token': 'live' },
+    body: JSON.stringify({ unitId: '2', dates: [date] }),
+  }), env);
+
+  const events = (await response.text()).split('\n\n')
+    .filter((message) => message.startsWith('data: '))
+    .map((message) => JSON.parse(message.slice('data: '.length)));
+  return events.find((event) => event.type === 'day').timeSlots;
+}
+
+const session = () => JSON.stringify({
+  sessionId: '_session_id=abc',
+  authenticityToken: 'token',
+  owner: 'owner',
+  createdAt: Date.now(),
+});
+
+test('without a cache the Worker falls back to the usual hours', async () => {
+  await stubUpstream(null);
+  const env = { USER_DATA: new MemoryKV({ 'session:live': session() }) };
+
+  assert.deepEqual(await scanTimeSlots(env, '12/06/2030'), hours(8, 22));
+  assert.deepEqual(await scanTimeSlots(env, '14/06/2030'), hours(7, 16));
+});
+
+test('the Worker falls back to the hours it learned for the day type', async () => {
+  const env = {
+    USER_DATA: new MemoryKV({ 'session:live': session() }),
+    COURTS_CACHE: new MemoryKV(),
+  };
+
+  await stubUpstream('set-time-by-unit.js');
+  assert.deepEqual(await scanTimeSlots(env, '12/06/2030'), BOOKABLE);
+  assert.deepEqual(JSON.parse(env.COURTS_CACHE.entries.get('opening-hours:2')), { weekday: LEARNED });
+
+  await stubUpstream(null);
+  assert.deepEqual(await scanTimeSlots(env, '13/06/2030'), BOOKABLE);
+});
@@ -0,0 +1,118 @@
+/**
+ * How the Worker's /proxy route treats expired sessions, with the upstream site
+ * stubbed by replacing globalThis.fetch
+ *
+ *   npm test
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import worker from '../src/index.js';
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+const readFixture = (name) => readFile(join(fixturesDir, name), 'utf8');
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+/**
+ * In-memory stand-in for a KV namespace
+ */
+class MemoryKV {
+  constructor(entries = {}) {
+    this.entries = new Map(Object.entries(entries));
+  }
+
+  async get(key, type) {
+    const value = this.entries.get(key);
+    if (value === undefined) return null;
+    return type === 'json' ? JSON.parse(value) : value;
+  }
+
+  async put(key, value) {
+    this.entries.set(key, String(value));
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * Answer every upstream request with a fixture, recording the requests
+ */
+function stubUpstream(fixture, contentType) {
+  const requests = [];
+  globalThis.fetch = async (request) => {
+    requests.push(request);
+    return new Response(fixture, { headers: { 'Content-Type': contentType } });
+  };
+  return requests;
+}
+
+const session = () => JSON.stringify({
+  sessionId: '_session_id=abc',
+  authenticityToken: 'token',
+  owner: 'owner',
+  createdAt: Date.now(),
+});
+
+const proxyTimeSlots = (env, headers = {}) => worker.fetch(
+  new Request('https://worker.example/proxy/self_services/set_time_by_unit', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+    body: 'unit_id=2&date=2025-06-01&court_type=1',
+  }),
+  env
+);
+
+test('a token whose session expired is refused without reaching the site', async () => {
+  const requests = stubUpstream(await readFixture('set-time-by-unit.js'), 'text/javascript');
+  const env = { USER_DATA: new MemoryKV() };
+
+  const response = await proxyTimeSlots(env, { 'X-Auth-Token': 'gone' });
+
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).code, 'session_expired');
+  assert.equal(requests.length, 0);
+});
+
+test('a session the site logged out is reported as expired and forgotten', async () => {
+  stubUpstream(await readFixture('login-redirect.html'), 'text/html');
+  const env = { USER_DATA: new MemoryKV({ 'session:live': session() }) };
+
+  const response = await proxyTimeSlots(env, { 'X-Auth-Token': 'live' });
+
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).code, 'session_expired');
+  assert.equal(await env.USER_DATA.get('session:live'), null);
+});
+
+test('the login page is reported as an expired session without a token too', async () => {
+  stubUpstream(await readFixture('search-login-redirect.js'), 'text/javascript');
+
+  const response = await proxyTimeSlots({ USER_DATA: new MemoryKV() });
+
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).code, 'session_expired');
+});
+
+test('a live session is forwarded with its cookie and the answer passed through', async () => {
+  const fixture = await readFixture('set-time-by-unit.js');
+  const requests = stubUpstream(fixture, 'text/javascript');
+  const env = { USER_DATA: new MemoryKV({ 'session:live': session() }) };
+
+  const response = await proxyTimeSlots(env, { 'X-Auth-Token': 'live' });
+
+  assert.equal(response.status, 200);
+  assert.equal(await response.text(), fixture);
+  assert.equal(requests[0].headers.get('Cookie'), '_session_id=abc');
+  assert.equal(requests[0].headers.get('X-Auth-Token'), null);
+});
@@ -0,0 +1,190 @@
+/**
+ * What the upstream request scheduler does with concurrency, retries and the
+ * per-session cap, with the site stubbed by replacing globalThis.fetch
+ *
+ *   npm test
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { UpstreamScheduler, getSchedulerConfig } from '../src/scheduler.js';
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+const config = (overrides = {}) => ({
+  ...getSchedulerConfig({}),
+  retryBaseDelayMs: 1,
+  retryMaxDelayMs: 5,
+  ...overrides,
+});
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Answer upstream requests with the given statuses in turn (the last one repeats),
+ * after ms milliseconds, counting the requests and the most ever in flight
+ */
+function stubUpstream(statuses, { ms = 0, headers = {} } = {}) {
+  const upstream = { calls: 0, inFlight: 0, maxInFlight: 0 };
+  globalThis.fetch = async () => {
+    const status = statuses[Math.min(upstream.calls, statuses.length - 1)];
+    upstream.calls++;
+    upstream.inFlight++;
+    upstream.maxInFlight = Math.max(upstream.maxInFlight, upstream.inFlight);
+    await delay(ms);
+    upstream.inFlight--;
+    return new Response(null, { status, headers });
+  };
+  return upstream;
+}
+
+test('limits from the environment are read and kept consistent', () => {
+  const limits = getSchedulerConfig({
+    UPSTREAM_MIN_CONCURRENCY: '0',
+    UPSTREAM_INITIAL_CONCURRENCY: '9',
+    UPSTREAM_MAX_CONCURRENCY: '3',
+    UPSTREAM_MAX_RETRIES: 'many',
+  });
+
+  assert.equal(limits.minConcurrency, 1);
+  assert.equal(limits.maxConcurrency, 3);
+  assert.equal(limits.initialConcurrency, 3);
+  assert.equal(limits.maxRetries, getSchedulerConfig({}).maxRetries);
+});
+
+test('concurrency grows by one after each round of clean responses', async () => {
+  stubUpstream([200]);
+  const scheduler = new UpstreamScheduler('session-grow', config({ initialConcurrency: 2, maxConcurrency: 4 }));
+
+  for (let i = 0; i < 2; i++) await scheduler.fetch('https://site.example/');
+  assert.equal(scheduler.limiter.limit, 3);
+
+  for (let i = 0; i < 3; i++) await scheduler.fetch('https://site.example/');
+  assert.equal(scheduler.limiter.limit, 4);
+
+  for (let i = 0; i < 8; i++) await scheduler.fetch('https://site.example/');
+  assert.equal(scheduler.limiter.limit, 4);
+});
+
+test('concurrency halves on errors and slow responses, down to the minimum', async () => {
+  const scheduler = new UpstreamScheduler('session-shrink', config({
+    initialConcurrency: 6,
+    maxConcurrency: 6,
+    maxRetries: 0,
+    slowResponseMs: 20,
+  }));
+
+  stubUpstream([503]);
+  await scheduler.fetch('https://site.example/');
+  assert.equal(scheduler.limiter.limit, 3);
+
+  stubUpstream([200], { ms: 40 });
+  await scheduler.fetch('https://site.example/');
+  assert.equal(scheduler.limiter.limit, 1);
+
+  stubUpstream([429]);
+  await scheduler.fetch('https://site.example/');
+  assert.equal(scheduler.limiter.limit, 1);
+});
+
+test('requests in flight stay within the concurrency', async () => {
+  const upstream = stubUpstream([200], { ms: 5 });
+  const scheduler = new UpstreamScheduler('session-flight', config({ initialConcurrency: 2, maxConcurrency: 2 }));
+
+  await Promise.all(Array.from({ length: 8 }, () => scheduler.fetch('https://site.example/')));
+
+  assert.equal(upstream.calls, 8);
+  assert.equal(upstream.maxInFlight, 2);
+});
+
+test('transient failures are retried until they succeed', async () => {
+  const upstream = stubUpstream([503, 502, 200]);
+  const scheduler = new UpstreamScheduler('session-retry', config({ maxRetries: 2 }));
+
+  const response = await scheduler.fetch('https://site.example/');
+
+  assert.equal(response.status, 200);
+  assert.equal(upstream.calls, 3);
+});
+
+test('the last response is returned once retries run out', async () => {
+  const upstream = stubUpstream([503]);
+  const scheduler = new UpstreamScheduler('session-give-up', config({ maxRetries: 2 }));
+
+  const response = await scheduler.fetch('https://site.example/');
+
+  assert.equal(response.status, 503);
+  assert.equal(upstream.calls, 3);
+});
+
+test('other statuses are not retried', async () => {
+  const upstream = stubUpstream([404]);
+  const scheduler = new UpstreamScheduler('session-404', config());
+
+  const response = await scheduler.fetch('https://site.example/');
+
+  assert.equal(response.status, 404);
+  assert.equal(upstream.calls, 1);
+});
+
+test('network errors are retried and the last one is thrown', async () => {
+  let calls = 0;
+  globalThis.fetch = async () => {
+    calls++;
+    throw new TypeError('fetch failed');
+  };
+  const scheduler = new UpstreamScheduler('session-network', config({ maxRetries: 1 }));
+
+  await assert.rejects(scheduler.fetch('https://site.example/'), TypeError);
+  assert.equal(calls, 2);
+});
+
+test('backoff is jittered below the exponential bound and honours Retry-After', () => {
+  const scheduler = new UpstreamScheduler('session-backoff', config({ retryBaseDelayMs: 100, retryMaxDelayMs: 1000 }));
+
+  for (let attempt = 0; attempt < 6; attempt++) {
+    const retryDelay = scheduler.getRetryDelay(attempt);
+    assert.ok(retryDelay >= 0 && retryDelay <= Math.min(1000, 100 * 2 ** attempt));
+  }
+
+  const retryAfter = (seconds) => new Response(null, { status: 429, headers: { 'Retry-After': seconds } });
+  assert.equal(scheduler.getRetryDelay(0, retryAfter('0.5')), 500);
+  assert.equal(scheduler.getRetryDelay(0, retryAfter('60')), 1000);
+});
+
+test('aborting a request waiting to be retried rejects it at once', async () => {
+  const upstream = stubUpstream([503], { headers: { 'Retry-After': '60' } });
+  const scheduler = new UpstreamScheduler('session-abort', config({ retryMaxDelayMs: 60000 }));
+  const controller = new AbortController();
+
+  const request = scheduler.fetch('https://site.example/', { signal: controller.signal });
+  setTimeout(() => controller.abort(), 20);
+
+  const startedAt = Date.now();
+  await assert.rejects(request, { name: 'AbortError' });
+  assert.ok(Date.now() - startedAt < 1000);
+  assert.equal(upstream.calls, 1);
+});
+
+test('searches of one session share its cap, other sessions have their own', async () => {
+  const limits = config({ initialConcurrency: 6, maxConcurrency: 6, sessionConcurrency: 2 });
+  const run = (scheduler) => Promise.all(Array.from({ length: 5 }, () => scheduler.fetch('https://site.example/')));
+
+  let upstream = stubUpstream([200], { ms: 5 });
+  await Promise.all([
+    run(new UpstreamScheduler('session-shared', limits)),
+    run(new UpstreamScheduler('session-shared', limits)),
+  ]);
+  assert.equal(upstream.maxInFlight, 2);
+
+  upstream = stubUpstream([200], { ms: 5 });
+  await Promise.all([
+    run(new UpstreamScheduler('session-a', limits)),
+    run(new UpstreamScheduler('session-b', limits)),
+  ]);
+  assert.equal(upstream.maxInFlight, 4);
+});
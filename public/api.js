@@ -1,7 +1,16 @@
-import { formatDate } from './utils.js';
+import { formatDate, getToday, learnOpeningHours } from './utils.js';
+import { parseTimeSlots } from './html-parser.js';
+import { DEFAULT_COURT_TYPE } from './constants.js';
 
 // Get the Cloudflare Worker URL from environment or use default
-const WORKER_URL = 'https://tennis.adielbm.workers.dev';
+// (a local `wrangler dev` Worker when the frontend itself is served from localhost)
+const WORKER_URL = window.location.hostname === 'localhost'
+  ? 'http://localhost:8787'
+  : 'https://tennis.adielbm.workers.dev';
+
+// Reconnects of a dropped search stream in a row before giving up, and the delay before the first
+const STREAM_RECONNECT_ATTEMPTS = 5;
+const STREAM_RECONNECT_DELAY_MS = 1000;
 
 /**
  * Weather service using Open-Meteo API
@@ -12,7 +21,9 @@ class WeatherService {
    * @param {number} lat - Latitude
    * @param {number} lng - Longitude
    * @param {Date} date - Date to fetch weather for
-   * @returns {Promise<Object>} Weather data with hourly temperature, precipitation probability, and wind speed
+   * @returns {Promise<Object>} { hourly, sunrise, sunset }: hourly temperature, apparent temperature,
+   * precipitation (probability and amount), wind speed, humidity and UV index, and the date's
+   * sunrise and sunset as HH:MM (null when unknown)
    */
   async getHourlyWeather(lat, lng, date) {
     try {
@@ -21,7 +32,8 @@ class WeatherService {
       nextDay.setDate(date.getDate() + 1);
       const endDateStr = nextDay.toISOString().split('T')[0];
       
-      const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lng}&hourly=temperature_2m,precipitation_probability,precipitation,wind_speed_10m&timezone=auto&start_date=${dateStr}&end_date=${endDateStr}`;
+      const hourly = 'temperature_2m,apparent_temperature,precipitation_probability,precipitation,wind_speed_10m,relative_humidity_2m,uv_index';
+      const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lng}&hourly=${hourly}&daily=sunrise,sunset&timezone=auto&start_date=${dateStr}&end_date=${endDateStr}`;
       
       const response = await fetch(url);
       if (!response.ok) {
@@ -42,179 +54,229 @@ class WeatherService {
             hourlyData.push({
               hour: timeObj.getHours(),
               temperature: data.hourly.temperature_2m[i],
+              apparentTemperature: data.hourly.apparent_temperature[i],
               precipitationProbability: data.hourly.precipitation_probability[i],
               precipitation: data.hourly.precipitation[i],
-              windSpeed: data.hourly.wind_speed_10m[i]
+              windSpeed: data.hourly.wind_speed_10m[i],
+              humidity: data.hourly.relative_humidity_2m[i],
+              uvIndex: data.hourly.uv_index[i]
             });
           }
         }
       }
       
-      return hourlyData;
+      // Daily times are local ISO date-times (YYYY-MM-DDTHH:MM)
+      const dayIndex = (data.daily?.time || []).findIndex(day => new Date(`${day}T00:00`).toDateString() === date.toDateString());
+      
+      return {
+        hourly: hourlyData,
+        sunrise: dayIndex >= 0 ? data.daily.sunrise[dayIndex].split('T')[1] : null,
+        sunset: dayIndex >= 0 ? data.daily.sunset[dayIndex].split('T')[1] : null,
+      };
     } catch (error) {
       console.error('Error fetching weather:', error);
-      return [];
+      return { hourly: [], sunrise: null, sunset: null };
     }
   }
 }
 
 /**
- * Authentication service
+ * Geocoding service using OpenStreetMap's Nominatim API
  */
-class AuthService {
-  constructor() {
-    this.sessionId = null;
-    this.authenticityToken = null;
-  }
-
+class GeocodingService {
   /**
-   * Check if user is authenticated
+   * Find an address or city in Israel
+   * @param {string} query - Address or city as typed by the user
+   * @returns {Promise<Object|null>} { lat, lng, label } of the best match, or null if nothing matched
    */
-  isAuthenticated() {
-    return this.sessionId !== null && this.authenticityToken !== null;
+  async geocode(query) {
+    const url = `https://nominatim.openstreetmap.org/search?format=jsonv2&limit=1&countrycodes=il&accept-language=he&q=${encodeURIComponent(query)}`;
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error('Failed to geocode address');
+    }
+
+    const [place] = await response.json();
+    if (!place) {
+      return null;
+    }
+
+    return {
+      lat: parseFloat(place.lat),
+      lng: parseFloat(place.lon),
+      // The first part of the display name is the place itself
+      label: place.name || place.display_name.split(',')[0],
+    };
   }
+}
 
-  /**
-   * Extract authenticity token from HTML page
-   */
-  extractAuthenticityToken(html) {
-    const match = html.match(/name="authenticity_token"\s+value="([^"]+)"/);
-    return match ? match[1] : null;
+/**
+ * Error for requests whose site session expired and could not be renewed
+ */
+class SessionExpiredError extends Error {
+  constructor() {
+    super('Session expired');
+    this.name = 'SessionExpiredError';
   }
+}
 
-  /**
-   * Extract session cookie from custom header
-   */
-  extractSessionCookie(sessionCookieHeader) {
-    if (!sessionCookieHeader) return null;
-    return sessionCookieHeader;
+/**
+ * Authentication service
+ */
+class AuthService {
+  constructor() {
+    this.authToken = null;
+    this.reloginPromise = null;
+    // Called when an expired session could not be renewed with the stored credentials
+    this.onSessionExpired = null;
   }
 
   /**
-   * Get authenticity token from the login page
+   * Check if user is authenticated
    */
-  async getAuthenticityTokenFromLoginPage() {
-    try {
-      const headers = {};
-      if (this.sessionId && this.sessionId !== 'browser-managed') {
-        headers['X-Session-Cookie'] = this.sessionId;
-      }
-      
-      const response = await fetch(`${WORKER_URL}/proxy/self_services/login`, {
-        headers,
-      });
-      const html = await response.text();
-      return this.extractAuthenticityToken(html);
-    } catch (error) {
-      console.error('Error fetching login page:', error);
-      return null;
-    }
+  isAuthenticated() {
+    return this.authToken !== null;
   }
 
   /**
-   * Perform login and get auth tokens
+   * Log in through the Worker, which keeps the site session and returns an opaque token
    */
   async login(email, userId) {
     try {
-      // First, get the authenticity token from the login page
-      const authenticityToken = await this.getAuthenticityTokenFromLoginPage();
-      if (!authenticityToken) {
-        throw new Error('Failed to get authenticity token');
-      }
-
-      // Prepare form data
-      const formData = new URLSearchParams();
-      formData.append('utf8', '✓');
-      formData.append('authenticity_token', authenticityToken);
-      formData.append('login', email);
-      formData.append('p_id', userId);
-
-      // Perform login
-      const response = await fetch(`${WORKER_URL}/proxy/self_services/login.js`, {
+      const response = await fetch(`${WORKER_URL}/api/login`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
+          'Content-Type': 'application/json',
         },
-        body: formData.toString(),
+        body: JSON.stringify({ email, userId }),
       });
 
-      const responseText = await response.text();
-      
-      // Check if login was successful by looking for the redirect in the response
-      if (!responseText.includes('window.location.href') && !response.ok) {
-        throw new Error('Login failed - invalid credentials');
+      const data = await response.json();
+      if (!response.ok || !data.token) {
+        throw new Error(data.error || 'Login failed - invalid credentials');
       }
 
-      // Extract session cookie from custom header
-      const sessionCookie = response.headers.get('X-Session-Cookie');
-      if (!sessionCookie) {
-        throw new Error('Failed to get session cookie from login response');
-      }
+      this.authToken = data.token;
 
-      // Store the session cookie temporarily
-      this.sessionId = sessionCookie;
+      // Store the token in localStorage
+      this.saveToStorage();
 
-      // Get a fresh authenticity token for subsequent requests
-      const courtInvitationResponse = await fetch(`${WORKER_URL}/proxy/self_services/court_invitation`, {
-        headers: {
-          'X-Session-Cookie': this.sessionId,
-        },
-      });
+      return true;
+    } catch (error) {
+      console.error('Login error:', error);
+      throw error;
+    }
+  }
 
-      if (!courtInvitationResponse.ok) {
-        throw new Error('Failed to verify authentication');
-      }
+  /**
+   * Log in again with the stored credentials after the session expired
+   * Concurrent callers share one login; throws SessionExpiredError if it fails
+   */
+  async relogin() {
+    if (!this.reloginPromise) {
+      this.reloginPromise = (async () => {
+        try {
+          const storedCredentials = JSON.parse(localStorage.getItem('credentials'));
+          if (!storedCredentials) {
+            throw new Error('No stored credentials');
+          }
+          await this.login(storedCredentials.email, storedCredentials.userId);
+        } catch (error) {
+          console.error('Re-login failed:', error);
+          this.authToken = null;
+          localStorage.removeItem('authToken');
+          if (this.onSessionExpired) {
+            this.onSessionExpired();
+          }
+          throw new SessionExpiredError();
+        } finally {
+          this.reloginPromise = null;
+        }
+      })();
+    }
+    return this.reloginPromise;
+  }
 
-      const html = await courtInvitationResponse.text();
-      
-      // If the page redirects to login, authentication failed
-      if (html.includes('window.location.href') && html.includes('/login')) {
-        throw new Error('Authentication verification failed');
-      }
-      
-      const newAuthenticityToken = this.extractAuthenticityToken(html);
+  /**
+   * Send a request to the Worker with the session token
+   * Throws SessionExpiredError if the Worker reports that the session expired
+   */
+  async request(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        'X-Auth-Token': this.authToken,
+      },
+    });
 
-      if (!newAuthenticityToken) {
-        throw new Error('Failed to get authenticity token after login');
+    if (response.status === 401) {
+      const data = await response.clone().json().catch(() => ({}));
+      if (data.code === 'session_expired') {
+        throw new SessionExpiredError();
       }
+    }
 
-      this.authenticityToken = newAuthenticityToken;
-
-      // Store credentials in localStorage
-      this.saveToStorage();
+    return response;
+  }
 
-      return true;
+  /**
+   * Run a request, logging in again and retrying it once if the session expired
+   */
+  async withRelogin(request) {
+    try {
+      return await request();
     } catch (error) {
-      console.error('Login error:', error);
-      throw error;
+      if (!(error instanceof SessionExpiredError)) {
+        throw error;
+      }
+      await this.relogin();
+      return request();
     }
   }
 
   /**
-   * Save auth tokens to localStorage
+   * Send a request to the Worker with the session token, renewing an expired session once
+   */
+  fetch(url, options = {}) {
+    return this.withRelogin(() => this.request(url, options));
+  }
+
+  /**
+   * Save auth token to localStorage
    */
   saveToStorage() {
-    localStorage.setItem('sessionId', this.sessionId);
-    localStorage.setItem('authenticityToken', this.authenticityToken);
+    localStorage.setItem('authToken', this.authToken);
   }
 
   /**
-   * Load auth tokens from localStorage
+   * Load auth token from localStorage
    */
   loadFromStorage() {
-    this.sessionId = localStorage.getItem('sessionId');
-    this.authenticityToken = localStorage.getItem('authenticityToken');
+    // Raw site credentials were stored here before the Worker kept them
+    localStorage.removeItem('sessionId');
+    localStorage.removeItem('authenticityToken');
+
+    this.authToken = localStorage.getItem('authToken');
     return this.isAuthenticated();
   }
 
   /**
-   * Clear auth tokens
+   * Clear auth token and end the session in the Worker
    */
   logout() {
-    this.sessionId = null;
-    this.authenticityToken = null;
-    localStorage.removeItem('sessionId');
-    localStorage.removeItem('authenticityToken');
+    if (this.authToken) {
+      fetch(`${WORKER_URL}/api/logout`, {
+        method: 'POST',
+        headers: {
+          'X-Auth-Token': this.authToken,
+        },
+      }).catch(error => console.error('Logout error:', error));
+    }
+
+    this.authToken = null;
+    localStorage.removeItem('authToken');
   }
 
   /**
@@ -222,8 +284,7 @@ class AuthService {
    */
   getTokens() {
     return {
-      sessionId: this.sessionId,
-      authenticityToken: this.authenticityToken,
+      authToken: this.authToken,
     };
   }
 }
@@ -237,12 +298,54 @@ class APIService {
   }
 
   /**
-   * Fetch available time slots for a specific unit and date
+   * Fetch the tennis centers (units) the site lists
+   * Returns an array of { id, name }, empty when they cannot be loaded
    */
-  async fetchTimeSlots(unitId, date) {
+  async fetchCenters() {
+    try {
+      const response = await this.authService.fetch(`${WORKER_URL}/api/centers`);
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.centers;
+    } catch (error) {
+      console.error('Error fetching centers:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Fetch the court types a unit rents out
+   * Returns an array of { id, name }; tennis alone when they cannot be loaded
+   */
+  async fetchCourtTypes(unitId) {
+    try {
+      const response = await this.authService.fetch(`${WORKER_URL}/api/court-types?unitId=${encodeURIComponent(unitId)}`);
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.courtTypes.length > 0 ? data.courtTypes : [{ id: DEFAULT_COURT_TYPE, name: "טניס" }];
+    } catch (error) {
+      console.error('Error fetching court types:', error);
+      return [{ id: DEFAULT_COURT_TYPE, name: "טניס" }];
+    }
+  }
+
+  /**
+   * Fetch available time slots for a specific unit, date and court type
+   * Successful answers teach the unit's opening hours (see getOpeningHours).
+   * Returns null when the slots could not be fetched.
+   */
+  async fetchTimeSlots(unitId, date, courtType = DEFAULT_COURT_TYPE) {
     try {
       const tokens = this.authService.getTokens();
-      if (!tokens.sessionId) {
+      if (!tokens.authToken) {
         throw new Error('Not authenticated');
       }
 
@@ -254,13 +357,12 @@ class APIService {
       const formData = new URLSearchParams();
       formData.append('unit_id', unitId);
       formData.append('date', dateStr);
-      formData.append('court_type', '1');
+      formData.append('court_type', courtType);
 
-      const response = await fetch(`${WORKER_URL}/proxy/self_services/set_time_by_unit`, {
+      const response = await this.authService.fetch(`${WORKER_URL}/proxy/self_services/set_time_by_unit`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded',
-          'X-Session-Cookie': tokens.sessionId,
         },
         body: formData.toString(),
       });
@@ -270,83 +372,204 @@ class APIService {
       }
 
       const responseText = await response.text();
-      return this.parseTimeSlots(responseText);
+      const timeSlots = parseTimeSlots(responseText);
+
+      // Today's answer may leave out hours that already passed
+      if (date.toDateString() !== getToday().toDateString()) {
+        this.saveOpeningHours(unitId, learnOpeningHours(this.getOpeningHours(unitId), date, timeSlots));
+      }
+      return timeSlots;
     } catch (error) {
       console.error('Error fetching time slots:', error);
-      return [];
+      return null;
     }
   }
 
   /**
-   * Parse time slots from the jQuery HTML response
+   * Get the opening hours learned for a unit, by day type
    */
-  parseTimeSlots(responseText) {
-    const allSlots = [];
-    const patterns = [
-      new RegExp('value=\\\\"(\\d{2}:\\d{2})\\\\"', 'g'),
-      new RegExp('value="(\\d{2}:\\d{2})"', 'g'),
-      new RegExp("value='(\\d{2}:\\d{2})'", 'g'),
-    ];
+  getOpeningHours(unitId) {
+    return this.loadOpeningHours()[unitId] || {};
+  }
 
-    for (const pattern of patterns) {
-      pattern.lastIndex = 0;
-      let match;
-      while ((match = pattern.exec(responseText)) !== null) {
-        const time = match[1];
-        if (!allSlots.includes(time)) {
-          allSlots.push(time);
-        }
-      }
-      if (allSlots.length > 0) break;
-    }
-
-    // Filter half-hour slots
-    const filteredSlots = [];
-    for (const slot of allSlots) {
-      if (slot.endsWith(':00')) {
-        filteredSlots.push(slot);
-      } else if (slot.endsWith(':30')) {
-        const [hours, _] = slot.split(':');
-        const nextHour = String(parseInt(hours) + 1).padStart(2, '0') + ':00';
-        if (!allSlots.includes(nextHour)) {
-          filteredSlots.push(slot);
-        }
-      }
+  /**
+   * Store a unit's opening hours (null when learnOpeningHours found nothing new)
+   */
+  saveOpeningHours(unitId, openingHours) {
+    if (!openingHours) {
+      return;
     }
-
-    return filteredSlots;
+    const allOpeningHours = this.loadOpeningHours();
+    allOpeningHours[unitId] = openingHours;
+    localStorage.setItem('openingHours', JSON.stringify(allOpeningHours));
   }
 
+  loadOpeningHours() {
+    try {
+      return JSON.parse(localStorage.getItem('openingHours')) || {};
+    } catch (error) {
+      console.error('Invalid stored opening hours:', error);
+      return {};
+    }
+  }
 
   /**
    * Search for courts across multiple time slots with streaming
+   * options: { duration, courtType, refresh, subscribe, signal, onReconnecting } - booking length
+   * in hours ("1", "1.5" or "2"), court type ID, whether to skip the Worker's cache, and whether to
+   * stay subscribed to the Worker's re-scans; aborting signal ends the search, in the Worker too.
+   * A dropped stream is resumed; onReconnecting(true/false) is called as that starts and ends
+   * Results served from the cache carry their age in seconds until a fresh result replaces them
    * Accepts a callback function that receives partial results as they arrive
    */
-  async searchMultipleSlots(unitId, date, slots, onPartialResult = null) {
+  async searchMultipleSlots(unitId, date, slots, { duration, courtType, refresh = false, subscribe = false, signal, onReconnecting } = {}, onPartialResult = null) {
     const results = new Map();
+    let lastEventId = null;
+    let reconnecting = false;
 
     try {
       const tokens = this.authService.getTokens();
-      if (!tokens.sessionId || !tokens.authenticityToken) {
+      if (!tokens.authToken) {
         throw new Error('Not authenticated');
       }
 
       const timeSlots = slots.map(slot => slot.time);
       const dateStr = formatDate(date);
 
-      // Call the streaming endpoint
-      const response = await fetch(`${WORKER_URL}/api/search-courts`, {
+      const handleEvent = (data) => {
+        if (data.type === 'result') {
+          // Add result to map, replacing a cached result once the fresh one arrives
+          const key = `${dateStr}_${data.timeSlot}`;
+          results.set(key, data.cached ? { ...data.data, age: data.age } : data.data);
+
+          // Call callback with partial results if provided
+          if (onPartialResult) {
+            onPartialResult(results, false);
+          }
+        } else if (data.type === 'complete') {
+          // Call callback with complete flag (again after every re-scan when subscribed)
+          if (onPartialResult) {
+            onPartialResult(results, true);
+          }
+        } else if (data.type === 'error') {
+          console.error('Streaming error:', data.error);
+        }
+      };
+
+      // A dropped connection (a network error, or the stream ending before it should)
+      // is resumed from the last event received, so only the missed results are sent
+      let attempt = 0;
+      while (true) {
+        let received = false;
+        let completed = false;
+        let dropped = false;
+
+        try {
+          await this.authService.withRelogin(async () => {
+            const response = await this.authService.request(`${WORKER_URL}/api/search-courts`, {
+              method: 'POST',
+              headers: {
+                'Content-Type': 'application/json',
+                ...(lastEventId && { 'Last-Event-ID': lastEventId }),
+              },
+              body: JSON.stringify({
+                unitId,
+                date: dateStr,
+                timeSlots,
+                duration,
+                courtType,
+                // A resumed search continues the one already running
+                refresh: refresh && !lastEventId,
+                subscribe,
+              }),
+              signal,
+            });
+
+            if (!response.ok) {
+              throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            if (reconnecting) {
+              reconnecting = false;
+              onReconnecting?.(false);
+            }
+
+            await this.readEventStream(response, (data, id) => {
+              if (id) {
+                lastEventId = id;
+                received = true;
+              }
+              if (data.type === 'complete') {
+                completed = true;
+              }
+              handleEvent(data);
+            });
+          });
+          // Subscribed streams stay open until the search is left
+          dropped = subscribe || !completed;
+        } catch (error) {
+          if (!(error instanceof TypeError) || signal?.aborted) {
+            throw error;
+          }
+          dropped = true;
+        }
+
+        if (!dropped) break;
+        // Attempts count again from a connection that got somewhere
+        attempt = received ? 1 : attempt + 1;
+        if (attempt > STREAM_RECONNECT_ATTEMPTS) {
+          throw new Error('Search stream lost');
+        }
+
+        if (!reconnecting) {
+          reconnecting = true;
+          onReconnecting?.(true);
+        }
+        await wait(STREAM_RECONNECT_DELAY_MS * 2 ** (attempt - 1), signal);
+      }
+
+      return results;
+    } catch (error) {
+      if (error instanceof SessionExpiredError) {
+        // Slots left unsearched can be retried once logged in again
+        slots.forEach(slot => {
+          const key = `${formatDate(date)}_${slot.time}`;
+          if (!results.has(key)) {
+            results.set(key, { status: 'session_expired' });
+          }
+        });
+        if (onPartialResult) {
+          onPartialResult(results, true);
+        }
+      } else if (error.name !== 'AbortError') {
+        console.error('Search error:', error);
+      }
+      return results;
+    } finally {
+      if (reconnecting) {
+        onReconnecting?.(false);
+      }
+    }
+  }
+
+  /**
+   * Search a single time slot again, e.g. one whose search failed
+   * Always asks the site; resolves with the slot's result, an error or
+   * session_expired result included
+   */
+  async searchSlot(unitId, date, time, { duration, courtType } = {}) {
+    try {
+      const response = await this.authService.fetch(`${WORKER_URL}/api/search-slot`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'X-Session-Cookie': tokens.sessionId,
         },
         body: JSON.stringify({
           unitId,
-          date: dateStr,
-          timeSlots,
-          sessionId: tokens.sessionId,
-          authenticityToken: tokens.authenticityToken,
+          date: formatDate(date),
+          timeSlot: time,
+          duration,
+          courtType,
         }),
       });
 
@@ -354,83 +577,522 @@ class APIService {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
 
-      // Check if the response is SSE (streaming) or JSON (cached)
-      const contentType = response.headers.get('Content-Type');
-      
-      if (contentType && contentType.includes('text/event-stream')) {
-        // Handle SSE streaming
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-
-        while (true) {
-          const { done, value } = await reader.read();
-          
-          if (done) break;
-          
-          buffer += decoder.decode(value, { stream: true });
-          
-          // Process complete SSE messages
-          const lines = buffer.split('\n\n');
-          buffer = lines.pop() || ''; // Keep incomplete message in buffer
-          
-          for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              const data = JSON.parse(line.slice(6));
-              
-              if (data.type === 'result') {
-                // Add result to map
-                const key = `${dateStr}_${data.timeSlot}`;
-                results.set(key, data.data);
-                
-                // Call callback with partial results if provided
-                if (onPartialResult) {
-                  onPartialResult(results, false);
-                }
-              } else if (data.type === 'complete') {
-                // Stream complete, update with final results
-                Object.entries(data.results).forEach(([timeSlot, availability]) => {
-                  const key = `${dateStr}_${timeSlot}`;
-                  results.set(key, availability);
-                });
-                
-                // Call callback one final time with complete flag
-                if (onPartialResult) {
-                  onPartialResult(results, true);
-                }
-              } else if (data.type === 'error') {
-                console.error('Streaming error:', data.error);
-              }
+      const result = await response.json();
+      return result.data;
+    } catch (error) {
+      if (error instanceof SessionExpiredError) {
+        return { status: 'session_expired' };
+      }
+      console.error('Slot search error:', error);
+      return { status: 'error', error: error.message };
+    }
+  }
+
+  /**
+   * Search for courts across multiple tennis centers for the same date with streaming
+   * Results are keyed by `${unitId}_${date}_${time}`; the callback receives partial results as they arrive.
+   * Aborting signal ends the search, in the Worker too
+   */
+  async searchMultipleCenters(unitIds, date, slots, { duration, courtType, signal } = {}, onPartialResult = null) {
+    const results = new Map();
+
+    try {
+      const tokens = this.authService.getTokens();
+      if (!tokens.authToken) {
+        throw new Error('Not authenticated');
+      }
+
+      const timeSlots = slots.map(slot => slot.time);
+      const dateStr = formatDate(date);
+
+      await this.authService.withRelogin(async () => {
+        const response = await this.authService.request(`${WORKER_URL}/api/search-centers`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            unitIds,
+            date: dateStr,
+            timeSlots,
+            duration,
+            courtType,
+          }),
+          signal,
+        });
+
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        await this.readEventStream(response, (data) => {
+          if (data.type === 'result') {
+            results.set(`${data.unitId}_${dateStr}_${data.timeSlot}`, data.data);
+            if (onPartialResult) {
+              onPartialResult(results, false);
             }
+          } else if (data.type === 'complete') {
+            Object.entries(data.results).forEach(([unitId, unitResults]) => {
+              Object.entries(unitResults).forEach(([timeSlot, availability]) => {
+                results.set(`${unitId}_${dateStr}_${timeSlot}`, availability);
+              });
+            });
+            if (onPartialResult) {
+              onPartialResult(results, true);
+            }
+          } else if (data.type === 'error') {
+            console.error('Streaming error:', data.error);
           }
-        }
-      } else {
-        // Handle JSON response (cached results)
-        const data = await response.json();
-        
-        // Convert the results object to a Map with the expected key format
-        Object.entries(data.results).forEach(([timeSlot, availability]) => {
-          const key = `${dateStr}_${timeSlot}`;
-          results.set(key, availability);
         });
+      });
 
-        // Log if results were cached
-        if (data.cached) {
-          console.log('Results retrieved from cache');
-        }
-        
-        // Call callback with complete results
-        if (onPartialResult) {
-          onPartialResult(results, true);
+      return results;
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Multi-center search error:', error);
+      }
+      return results;
+    }
+  }
+
+  /**
+   * Scan a range of dates for one tennis center with streaming
+   * onDayResult(dateStr, { timeSlots, results, isComplete }) is called whenever a day's data changes;
+   * aborting signal stops the scan, in the Worker too
+   */
+  async scanDates(unitId, dates, { duration, courtType, signal } = {}, onDayResult = null) {
+    const days = new Map();
+
+    try {
+      const tokens = this.authService.getTokens();
+      if (!tokens.authToken) {
+        throw new Error('Not authenticated');
+      }
+
+      await this.authService.withRelogin(async () => {
+        const response = await this.authService.request(`${WORKER_URL}/api/scan-dates`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            unitId,
+            dates: dates.map(date => formatDate(date)),
+            duration,
+            courtType,
+          }),
+          signal,
+        });
+
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
         }
+
+        await this.readEventStream(response, (data) => {
+          if (data.type === 'day') {
+            days.set(data.date, { timeSlots: data.timeSlots, results: new Map(), isComplete: false });
+          } else if (data.type === 'result') {
+            days.get(data.date).results.set(data.timeSlot, data.data);
+          } else if (data.type === 'day-complete') {
+            days.get(data.date).isComplete = true;
+          } else if (data.type === 'error') {
+            console.error('Streaming error:', data.error);
+            return;
+          } else {
+            return;
+          }
+
+          if (onDayResult) {
+            onDayResult(data.date, days.get(data.date));
+          }
+        });
+      });
+
+      return days;
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Date scan error:', error);
       }
+      return days;
+    }
+  }
 
-      return results;
+  /**
+   * Book a court slot returned by the search, through its bookingUrl
+   * courtType is the type the slot was searched with, so the right cached slots are dropped
+   * Returns { success, message } with the message parsed from the upstream response
+   */
+  async bookCourt(unitId, date, slot, courtType = DEFAULT_COURT_TYPE) {
+    try {
+      const tokens = this.authService.getTokens();
+      if (!tokens.authToken) {
+        throw new Error('Not authenticated');
+      }
+
+      const response = await this.authService.fetch(`${WORKER_URL}/api/book`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          unitId,
+          date: formatDate(date),
+          bookingUrl: slot.bookingUrl,
+          courtType,
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok && !data.message) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      return data;
     } catch (error) {
-      console.error('Search error:', error);
-      return results;
+      console.error('Booking error:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Fetch the availability history of a center for the heatmap
+   * Returns an array of { weekday, hour, samples, freeRate, bookAheadDays, byDaysAhead }
+   */
+  async fetchAnalytics(unitId, { duration, courtType } = {}) {
+    const params = new URLSearchParams({ unitId });
+    if (duration) params.set('duration', duration);
+    if (courtType) params.set('courtType', courtType);
+
+    const response = await this.authService.fetch(`${WORKER_URL}/api/analytics?${params}`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
     }
+
+    const data = await response.json();
+    return data.cells;
+  }
+
+  /**
+   * Fetch the user's upcoming reservations
+   * Returns an array of { center, courtNumber, date, startTime, endTime, cancellable, cancel }
+   */
+  async fetchReservations() {
+    const tokens = this.authService.getTokens();
+    if (!tokens.authToken) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await this.authService.fetch(`${WORKER_URL}/api/reservations`);
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.reservations;
+  }
+
+  /**
+   * Cancel a reservation listed by fetchReservations, through its cancel control
+   * Returns { success, message } with the message parsed from the upstream response
+   */
+  async cancelReservation(reservation) {
+    try {
+      const tokens = this.authService.getTokens();
+      if (!tokens.authToken) {
+        throw new Error('Not authenticated');
+      }
+
+      const response = await this.authService.fetch(`${WORKER_URL}/api/reservations/cancel`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          cancel: reservation.cancel,
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok && !data.message) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Cancel reservation error:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Get this device's client ID, which watch notifications are pushed to
+   */
+  getClientId() {
+    let clientId = localStorage.getItem('clientId');
+    if (!clientId) {
+      clientId = crypto.randomUUID();
+      localStorage.setItem('clientId', clientId);
+    }
+    return clientId;
+  }
+
+  /**
+   * Fetch the user's availability watches, including the events that fired
+   */
+  async fetchWatches() {
+    const response = await this.authService.fetch(`${WORKER_URL}/api/watches`);
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.watches;
+  }
+
+  /**
+   * Create an availability watch for a center, date and time range
+   * The scheduled checks search with the user's latest session, so a watch is paused
+   * (needsLogin) while the user has none and resumes after the next login
+   */
+  async createWatch({ unitId, centerName, date, fromTime, toTime, minCourts }) {
+    const tokens = this.authService.getTokens();
+    if (!tokens.authToken) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await this.authService.fetch(`${WORKER_URL}/api/watches`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Client-Id': this.getClientId(),
+      },
+      body: JSON.stringify({
+        unitId,
+        centerName,
+        date: formatDate(date),
+        fromTime,
+        toTime,
+        minCourts,
+      }),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+
+    return data.watch;
+  }
+
+  /**
+   * Delete an availability watch
+   */
+  async deleteWatch(watchId) {
+    const response = await this.authService.fetch(`${WORKER_URL}/api/watches/${encodeURIComponent(watchId)}`, {
+      method: 'DELETE',
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+  }
+
+  /**
+   * Fetch the Worker's VAPID public key for push subscriptions
+   */
+  async fetchPushPublicKey() {
+    const response = await fetch(`${WORKER_URL}/api/push/public-key`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.publicKey;
+  }
+
+  /**
+   * Store a push subscription for the user's watches on this device
+   */
+  async savePushSubscription(subscription) {
+    const response = await this.authService.fetch(`${WORKER_URL}/api/push/subscribe`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Client-Id': this.getClientId(),
+      },
+      body: JSON.stringify({ subscription }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+  }
+
+  /**
+   * Remove a push subscription
+   */
+  async deletePushSubscription(endpoint) {
+    const response = await this.authService.fetch(`${WORKER_URL}/api/push/unsubscribe`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Client-Id': this.getClientId(),
+      },
+      body: JSON.stringify({ endpoint }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+  }
+
+  /**
+   * Read a Server-Sent Events response, calling onEvent(data, id) with each parsed message
+   * (id is the message's id: field, if any). Throws SessionExpiredError when the Worker
+   * reports that the session expired mid-stream
+   */
+  async readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      
+      if (done) break;
+      
+      buffer += decoder.decode(value, { stream: true });
+      
+      // Process complete SSE messages
+      const messages = buffer.split(/\r?\n\r?\n/);
+      buffer = messages.pop() || ''; // Keep incomplete message in buffer
+      
+      for (const message of messages) {
+        const { id, data } = parseEventMessage(message);
+        if (data === null) continue;
+
+        const event = JSON.parse(data);
+        if (event.type === 'session_expired') {
+          reader.cancel();
+          throw new SessionExpiredError();
+        }
+        onEvent(event, id);
+      }
+    }
+  }
+}
+
+/**
+ * Parse the fields of one SSE message; data lines are joined, comments and other fields ignored
+ */
+function parseEventMessage(message) {
+  let id = null;
+  let data = null;
+
+  for (const line of message.split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator <= 0) continue;
+
+    const field = line.slice(0, separator);
+    const value = line.slice(separator + 1).replace(/^ /, '');
+    if (field === 'id') {
+      id = value;
+    } else if (field === 'data') {
+      data = data === null ? value : `${data}\n${value}`;
+    }
+  }
+
+  return { id, data };
+}
+
+/**
+ * Resolve after ms, or reject with an AbortError once signal aborts
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+/**
+ * Web Push subscription management for watch notifications
+ */
+class PushService {
+  constructor(apiService) {
+    this.apiService = apiService;
+  }
+
+  /**
+   * Check if the browser supports Web Push
+   */
+  isSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+  }
+
+  /**
+   * Register the service worker that shows the notifications
+   */
+  async register() {
+    if (!this.isSupported()) return null;
+    return navigator.serviceWorker.register('sw.js');
+  }
+
+  /**
+   * Get the current push subscription, if any
+   */
+  async getSubscription() {
+    if (!this.isSupported()) return null;
+    const registration = await navigator.serviceWorker.ready;
+    return registration.pushManager.getSubscription();
+  }
+
+  /**
+   * Ask for notification permission, subscribe and store the subscription in the Worker
+   */
+  async subscribe() {
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      throw new Error('Notification permission denied');
+    }
+
+    const publicKey = await this.apiService.fetchPushPublicKey();
+    const registration = await navigator.serviceWorker.ready;
+    const subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: this.urlBase64ToUint8Array(publicKey),
+    });
+
+    await this.apiService.savePushSubscription(subscription.toJSON());
+    return subscription;
+  }
+
+  /**
+   * Unsubscribe this browser and remove the subscription from the Worker
+   */
+  async unsubscribe() {
+    const subscription = await this.getSubscription();
+    if (!subscription) return;
+
+    await this.apiService.deletePushSubscription(subscription.endpoint);
+    await subscription.unsubscribe();
+  }
+
+  /**
+   * Convert a base64url VAPID key to the Uint8Array pushManager expects
+   */
+  urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    const rawData = atob(base64);
+    return Uint8Array.from(rawData, char => char.charCodeAt(0));
   }
 }
 
-export { AuthService, APIService, WeatherService, WORKER_URL };
+export { AuthService, APIService, WeatherService, GeocodingService, PushService, SessionExpiredError, WORKER_URL };
@@ -1,4 +1,7 @@
 // Constants
+
+// Metadata of the tennis centers we know; the list shown comes from the site
+// (see loadCenters in main.js), and centers missing here are flagged there
 export const TENNIS_CENTERS = [
   { id: "12", name: "אופקים", nameEn: "Ofakim", lat: 31.30616437087573, lng: 34.61839330834949 },
   { id: "8", name: "אשקלון", nameEn: "Ashkelon", lat: 31.656118690727624, lng: 34.573327325766876 },
@@ -20,4 +23,34 @@ export const TENNIS_CENTERS = [
   { id: "13", name: "תל אביב (יד אליהו)", nameEn: "Tel Aviv (Yad Eliyahu)", lat: 32.05524276032164, lng: 34.80180722680227 },
 ];
 
-export const COURT_TYPE = "1"; // Always 1 for tennis courts
+export const DEFAULT_COURT_TYPE = "1"; // Tennis; centers may offer other court types too
+
+// Booking lengths offered by the site, in hours
+export const DURATIONS = [
+  { value: "1", label: "שעה" },
+  { value: "1.5", label: "שעה וחצי" },
+  { value: "2", label: "שעתיים" },
+];
+
+export const DEFAULT_DURATION = "1";
+
+// Lengths of back-to-back play on one court looked for in the results, in hours
+export const BLOCK_LENGTHS = [
+  { value: "2", label: "שעתיים" },
+  { value: "3", label: "3 שעות" },
+  { value: "4", label: "4 שעות" },
+];
+
+export const SCAN_DAYS = 7; // Days ahead scanned for availability on the date screen
+
+export const NEARBY_CENTERS = 3; // Closest centers searched together by the "near me" search
+
+// Weather the playability score takes as fine for tennis; the user can change each value
+export const PLAYABILITY_THRESHOLDS = [
+  { key: "maxTemperature", label: "חום (מורגש)", unit: "°C", value: 32 },
+  { key: "minTemperature", label: "קור (מורגש)", unit: "°C", value: 10 },
+  { key: "maxWindSpeed", label: "רוח", unit: "km/h", value: 20 },
+  { key: "maxRainProbability", label: "סיכוי לגשם", unit: "%", value: 30 },
+  { key: "maxUvIndex", label: "מדד UV", unit: "", value: 8 },
+  { key: "maxHumidity", label: "לחות", unit: "%", value: 80 },
+];
@@ -0,0 +1,90 @@
+/**
+ * Israeli holiday calendar
+ *
+ * Holidays are found from the Hebrew date (Intl's hebrew calendar), so no
+ * yearly table needs updating. Only days that change opening hours are
+ * listed: the festivals (one day, as kept in Israel) and Independence Day,
+ * each with its eve.
+ */
+
+const hebrewDateFormat = new Intl.DateTimeFormat("en-u-ca-hebrew", { day: "numeric", month: "long" });
+
+// Hebrew month -> day of month -> holiday
+const HOLIDAYS = {
+  Tishri: {
+    1: { name: "ראש השנה" },
+    2: { name: "ראש השנה" },
+    10: { name: "יום כיפור", closed: true },
+    15: { name: "סוכות" },
+    22: { name: "שמחת תורה" },
+  },
+  Nisan: {
+    15: { name: "פסח" },
+    21: { name: "שביעי של פסח" },
+  },
+  Sivan: {
+    6: { name: "שבועות" },
+  },
+};
+
+const INDEPENDENCE_DAY = { name: "יום העצמאות" };
+
+// The eve of Independence Day is Memorial Day
+const EVE_NAMES = {
+  [INDEPENDENCE_DAY.name]: "יום הזיכרון",
+};
+
+/**
+ * Get the holiday or holiday eve a date falls on
+ * Returns { name, type: "holiday" | "eve", closed } or null on an ordinary day
+ */
+export function getHoliday(date) {
+  const holiday = findHoliday(date);
+  if (holiday) {
+    return { name: holiday.name, type: "holiday", closed: Boolean(holiday.closed) };
+  }
+
+  const nextDay = new Date(date);
+  nextDay.setDate(date.getDate() + 1);
+  const nextHoliday = findHoliday(nextDay);
+  if (nextHoliday) {
+    return { name: EVE_NAMES[nextHoliday.name] || `ערב ${nextHoliday.name}`, type: "eve", closed: false };
+  }
+
+  return null;
+}
+
+function findHoliday(date) {
+  const { day, month } = getHebrewDate(date);
+
+  if (month === "Iyar" && isIndependenceDay(day, date.getDay())) {
+    return INDEPENDENCE_DAY;
+  }
+  return HOLIDAYS[month]?.[day] || null;
+}
+
+/**
+ * Independence Day is 5 Iyar, which falls on a Monday, Wednesday, Friday or
+ * Saturday. It is moved to Thursday from a Friday or Saturday and to Tuesday
+ * from a Monday.
+ */
+function isIndependenceDay(day, dayOfWeek) {
+  switch (dayOfWeek) {
+    case 2:
+      return day === 6;
+    case 3:
+      return day === 5;
+    case 4:
+      return day === 3 || day === 4;
+    default:
+      return false;
+  }
+}
+
+function getHebrewDate(date) {
+  const parts = hebrewDateFormat.formatToParts(date);
+  return {
+    day: Number(parts.find((part) => part.type === "day").value),
+    month: parts.find((part) => part.type === "month").value,
+  };
+}
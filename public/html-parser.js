@@ -0,0 +1,687 @@
+/**
+ * Parsing of center.tennis.org.il responses
+ *
+ * Shared by the frontend and the Worker (which imports it from ../../public),
+ * so it only uses plain JavaScript: a small HTML tokenizer and tree builder
+ * instead of DOMParser or HTMLRewriter, neither of which runs everywhere.
+ *
+ * Most upstream endpoints answer with jQuery calls whose argument is
+ * JavaScript-escaped HTML, e.g. jQuery('#step-2').html('<div class=\"...\">');
+ * the helpers below unescape those before parsing.
+ */
+
+// Elements that never have children
+const VOID_ELEMENTS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr",
+]);
+
+// Elements whose content is text, not markup
+const RAW_TEXT_ELEMENTS = new Set(["script", "style", "textarea", "title"]);
+
+// Elements whose text is kept apart from the text around them
+const BLOCK_ELEMENTS = new Set([
+  "br", "div", "h1", "h2", "h3", "h4", "h5", "h6", "li", "option", "p", "table", "td", "th", "tr",
+]);
+
+// Start tags that implicitly close an open element of the listed tags
+const IMPLIED_END_TAGS = {
+  tr: ["tr", "td", "th"],
+  td: ["td", "th"],
+  th: ["td", "th"],
+  option: ["option"],
+  li: ["li"],
+  p: ["p"],
+};
+
+// Implied end tags never reach past these
+const SCOPE_BOUNDARIES = new Set(["table", "tbody", "thead", "tfoot", "select", "ul", "ol", "div"]);
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: "\"",
+  apos: "'",
+  nbsp: "\u00a0",
+  ndash: "–",
+  mdash: "—",
+};
+
+// Text of the navigation link to the user's reservations (plural: "הזמנת מגרש" books one)
+const RESERVATIONS_LINK_MARKER = "הזמנות";
+
+// Text of a reservation's cancel control
+const CANCEL_MARKER = "ביטול";
+
+/**
+ * Decode HTML character references
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const codePoint = code[1] === "x" || code[1] === "X"
+        ? parseInt(code.slice(2), 16)
+        : parseInt(code.slice(1), 10);
+      return String.fromCodePoint(codePoint);
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Normalize text for matching: drop direction marks and Hebrew points, collapse whitespace
+ */
+export function normalizeText(text) {
+  return text
+    .replace(/[\u200e\u200f\u202a-\u202e\u2066-\u2069]/g, "")
+    .replace(/[\u0591-\u05bd\u05bf\u05c1\u05c2\u05c4\u05c5\u05c7]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Split HTML into start tag, end tag and text tokens
+ * Comments, doctypes and processing instructions are skipped
+ */
+export function tokenize(html) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < html.length) {
+    if (html.startsWith("<!--", i)) {
+      const end = html.indexOf("-->", i + 4);
+      i = end === -1 ? html.length : end + 3;
+      continue;
+    }
+
+    const next = html[i + 1] || "";
+    if (html[i] === "<" && (next === "!" || next === "?")) {
+      const end = html.indexOf(">", i);
+      i = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    if (html[i] === "<" && /[a-z/]/i.test(next)) {
+      const { token, end } = readTag(html, i);
+      i = end;
+      if (!token) continue;
+      tokens.push(token);
+
+      // Raw text runs until the matching end tag
+      if (token.type === "start" && RAW_TEXT_ELEMENTS.has(token.name) && !token.selfClosing) {
+        const close = html.toLowerCase().indexOf(`</${token.name}`, i);
+        const textEnd = close === -1 ? html.length : close;
+        if (textEnd > i) {
+          tokens.push({ type: "text", text: token.name === "textarea" || token.name === "title"
+            ? decodeEntities(html.slice(i, textEnd))
+            : html.slice(i, textEnd) });
+        }
+        i = textEnd;
+      }
+      continue;
+    }
+
+    // Text up to the next tag-like "<"
+    let end = i + 1;
+    while (end < html.length && !(html[end] === "<" && /[a-z/!?]/i.test(html[end + 1] || ""))) {
+      end++;
+    }
+    tokens.push({ type: "text", text: decodeEntities(html.slice(i, end)) });
+    i = end;
+  }
+
+  return tokens;
+}
+
+/**
+ * Read one tag starting at the "<" at index start
+ */
+function readTag(html, start) {
+  let i = start + 1;
+  const isEnd = html[i] === "/";
+  if (isEnd) i++;
+
+  const nameMatch = /^[a-z][a-z0-9-]*/i.exec(html.slice(i, i + 64));
+  if (!nameMatch) {
+    // "</>" or similar: skip it
+    const end = html.indexOf(">", i);
+    return { token: null, end: end === -1 ? html.length : end + 1 };
+  }
+  const name = nameMatch[0].toLowerCase();
+  i += nameMatch[0].length;
+
+  const attrs = {};
+  let selfClosing = false;
+
+  while (i < html.length && html[i] !== ">") {
+    if (/\s/.test(html[i])) {
+      i++;
+      continue;
+    }
+    if (html[i] === "/") {
+      selfClosing = true;
+      i++;
+      continue;
+    }
+
+    // Attribute name
+    let nameEnd = i;
+    while (nameEnd < html.length && !/[\s=>/]/.test(html[nameEnd])) nameEnd++;
+    const attrName = html.slice(i, nameEnd).toLowerCase();
+    i = nameEnd;
+    while (/\s/.test(html[i] || "")) i++;
+
+    let value = "";
+    if (html[i] === "=") {
+      i++;
+      while (/\s/.test(html[i] || "")) i++;
+      const quote = html[i];
+      if (quote === "\"" || quote === "'") {
+        const valueEnd = html.indexOf(quote, i + 1);
+        const end = valueEnd === -1 ? html.length : valueEnd;
+        value = html.slice(i + 1, end);
+        i = end + 1;
+      } else {
+        let valueEnd = i;
+        while (valueEnd < html.length && !/[\s>]/.test(html[valueEnd])) valueEnd++;
+        value = html.slice(i, valueEnd);
+        i = valueEnd;
+      }
+    }
+
+    if (attrName && !(attrName in attrs)) {
+      attrs[attrName] = decodeEntities(value);
+    }
+    if (html[i] !== ">") selfClosing = false;
+  }
+
+  return {
+    token: isEnd ? { type: "end", name } : { type: "start", name, attrs, selfClosing },
+    end: Math.min(i + 1, html.length),
+  };
+}
+
+/**
+ * Parse HTML into a tree of { tag, attrs, children, parent } elements and { text } nodes
+ * Unclosed cells, rows, options, list items and paragraphs are closed the way browsers do
+ */
+export function parseHtml(html) {
+  const root = { tag: "#root", attrs: {}, children: [], parent: null };
+  const stack = [root];
+
+  for (const token of tokenize(html)) {
+    const current = stack[stack.length - 1];
+
+    if (token.type === "text") {
+      current.children.push({ text: token.text, parent: current });
+      continue;
+    }
+
+    if (token.type === "start") {
+      const closes = IMPLIED_END_TAGS[token.name];
+      if (closes) {
+        let closeAt = -1;
+        for (let i = stack.length - 1; i > 0; i--) {
+          if (closes.includes(stack[i].tag)) closeAt = i;
+          else if (SCOPE_BOUNDARIES.has(stack[i].tag)) break;
+        }
+        if (closeAt > 0) stack.length = closeAt;
+      }
+
+      const parent = stack[stack.length - 1];
+      const element = { tag: token.name, attrs: token.attrs, children: [], parent };
+      parent.children.push(element);
+      if (!VOID_ELEMENTS.has(token.name) && !token.selfClosing) {
+        stack.push(element);
+      }
+      continue;
+    }
+
+    // End tag: close the nearest open element with that name, ignore strays
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].tag === token.name) {
+        stack.length = i;
+        break;
+      }
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Find all elements under a node matching a predicate, in document order
+ */
+export function findAll(node, predicate) {
+  const matches = [];
+  const visit = (parent) => {
+    for (const child of parent.children || []) {
+      if (!child.tag) continue;
+      if (predicate(child)) matches.push(child);
+      visit(child);
+    }
+  };
+  visit(node);
+  return matches;
+}
+
+/**
+ * Find the first element under a node matching a predicate
+ */
+export function find(node, predicate) {
+  return findAll(node, predicate)[0] || null;
+}
+
+/**
+ * Find the closest ancestor (or the node itself) with a tag
+ */
+export function closest(node, tag) {
+  for (let current = node; current; current = current.parent) {
+    if (current.tag === tag) return current;
+  }
+  return null;
+}
+
+/**
+ * Check whether an element has a class
+ */
+export function hasClass(element, className) {
+  return (element.attrs.class || "").split(/\s+/).includes(className);
+}
+
+/**
+ * Get the normalized text of a node and its descendants
+ */
+export function textContent(node) {
+  const parts = [];
+  const visit = (current) => {
+    if (current.text !== undefined) {
+      parts.push(current.text);
+      return;
+    }
+    if (current.tag === "script" || current.tag === "style") return;
+    for (const child of current.children) {
+      if (BLOCK_ELEMENTS.has(child.tag)) parts.push(" ");
+      visit(child);
+      if (BLOCK_ELEMENTS.has(child.tag)) parts.push(" ");
+    }
+  };
+  visit(node);
+  return normalizeText(parts.join(""));
+}
+
+/**
+ * Unescape a JavaScript string literal body (the text between the quotes)
+ */
+function unescapeJsString(value) {
+  return value.replace(/\\(u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|[\s\S])/g, (_, escape) => {
+    switch (escape[0]) {
+      case "n": return "\n";
+      case "r": return "\r";
+      case "t": return "\t";
+      case "u":
+      case "x":
+        return escape.length > 1 ? String.fromCharCode(parseInt(escape.slice(1), 16)) : escape;
+      default: return escape;
+    }
+  });
+}
+
+/**
+ * Extract the HTML arguments of the jQuery calls in an upstream response
+ * Returns [{ selector, method, html }] (empty if the response is not jQuery)
+ */
+export function extractJQueryCalls(responseText) {
+  const calls = [];
+  const callRegex = /(?:jQuery|\$)\((['"])(.*?)\1\)\.(html|append|prepend|replaceWith)\((['"])((?:\\[\s\S]|(?!\4)[^\\])*)\4\)/g;
+
+  let match;
+  while ((match = callRegex.exec(responseText)) !== null) {
+    calls.push({
+      selector: match[2],
+      method: match[3],
+      html: unescapeJsString(match[5]),
+    });
+  }
+
+  return calls;
+}
+
+/**
+ * Get the HTML of an upstream response: the jQuery call for the selector
+ * (or every jQuery call when none is given), or the response itself if it is plain HTML
+ */
+export function getResponseHtml(responseText, selector = null) {
+  const calls = extractJQueryCalls(responseText);
+  if (calls.length === 0) {
+    return responseText;
+  }
+
+  return calls
+    .filter((call) => !selector || call.selector === selector)
+    .map((call) => call.html)
+    .join("\n");
+}
+
+/**
+ * Check whether a response is the login page or sends the browser to it
+ */
+export function isLoginPage(responseText) {
+  if (/location(?:\.href)?\s*=\s*(['"])[^'"]*\/login\1/.test(responseText)) {
+    return true;
+  }
+
+  const document = parseHtml(getResponseHtml(responseText));
+  return Boolean(find(document, (element) =>
+    (element.tag === "input" && element.attrs.name === "p_id")
+    || (element.tag === "form" && /\/login(\.js)?$/.test(element.attrs.action || ""))
+  ));
+}
+
+/**
+ * Extract the CSRF token from a page's form or meta tag
+ */
+export function extractAuthenticityToken(html) {
+  const document = parseHtml(html);
+  const input = find(document, (element) =>
+    element.tag === "input" && element.attrs.name === "authenticity_token" && element.attrs.value
+  );
+  if (input) return input.attrs.value;
+
+  const meta = find(document, (element) =>
+    element.tag === "meta" && element.attrs.name === "csrf-token" && element.attrs.content
+  );
+  return meta ? meta.attrs.content : null;
+}
+
+/**
+ * Read the [{ id, name }] options of a named <select>, placeholders (empty values) skipped
+ */
+function parseSelectOptions(html, name) {
+  const document = parseHtml(html);
+  const select = find(document, (element) => element.tag === "select" && element.attrs.name === name);
+  if (!select) return [];
+
+  return findAll(select, (element) => element.tag === "option")
+    .map((option) => ({ id: (option.attrs.value || "").trim(), name: textContent(option) }))
+    .filter((option) => option.id !== "");
+}
+
+/**
+ * Parse the court types offered by the court_invitation search form
+ * Returns [{ id, name }] from the search[court_type] select
+ */
+export function parseCourtTypes(html) {
+  return parseSelectOptions(html, "search[court_type]");
+}
+
+/**
+ * Parse the tennis centers (units) of the court_invitation search form
+ * Returns [{ id, name }] from the search[unit_id] select
+ */
+export function parseUnits(html) {
+  return parseSelectOptions(html, "search[unit_id]");
+}
+
+/**
+ * Parse time slots from the response of set_time_by_unit
+ * Half-hour slots are kept only when the next full hour is missing
+ */
+export function parseTimeSlots(responseText) {
+  const document = parseHtml(getResponseHtml(responseText));
+  const allSlots = [];
+
+  for (const option of findAll(document, (element) => element.tag === "option")) {
+    const value = (option.attrs.value ?? textContent(option)).trim();
+    if (/^\d{2}:\d{2}$/.test(value) && !allSlots.includes(value)) {
+      allSlots.push(value);
+    }
+  }
+
+  return allSlots.filter((slot) => {
+    if (slot.endsWith(":00")) return true;
+    if (!slot.endsWith(":30")) return false;
+    const nextHour = String(parseInt(slot.split(":")[0], 10) + 1).padStart(2, "0") + ":00";
+    return !allSlots.includes(nextHour);
+  });
+}
+
+/**
+ * Find the alert banners (alert-success/danger/warning/info) of a document
+ */
+function findAlerts(document) {
+  return findAll(document, (element) => hasClass(element, "alert")).map((element) => ({
+    type: ["success", "danger", "warning", "info"].find((type) => hasClass(element, `alert-${type}`)) || "info",
+    message: textContent(element),
+  }));
+}
+
+/**
+ * Parse court availability from the response of search_court.js
+ * Returns { status: "available", courts, slots } or, for anything without booking links
+ * (error banners included, as the site shows them for full slots too),
+ * { status: "full", courts, slots, suggestedTimes? }
+ */
+export function parseCourtAvailability(responseText) {
+  const document = parseHtml(getResponseHtml(responseText, "#step-2"));
+  const slots = parseCourtSlots(document);
+
+  if (slots.length > 0) {
+    const courts = [...new Set(slots.map((s) => s.courtNumber))].sort((a, b) => a - b);
+    return {
+      status: "available",
+      courts,
+      slots,
+    };
+  }
+
+  const suggestedTimes = parseSuggestedTimes(document);
+  return {
+    status: "full",
+    courts: [],
+    slots: [],
+    suggestedTimes: suggestedTimes.length > 0 ? suggestedTimes : undefined,
+  };
+}
+
+/**
+ * Parse the bookable court slots: one booking link per free court
+ * bookingUrl is the link itself, the confirmation page a booking goes through
+ */
+function parseCourtSlots(document) {
+  const slots = [];
+  const links = findAll(document, (element) => element.tag === "a" && /[?&]court_id=/.test(element.attrs.href || ""));
+
+  for (const link of links) {
+    const params = new URLSearchParams(link.attrs.href.split("?")[1]);
+    const row = closest(link, "tr") || link.parent;
+    const courtMatch = textContent(row).match(/מגרש\s*:?\s*(\d+)/);
+    if (!courtMatch) continue;
+
+    slots.push({
+      courtNumber: parseInt(courtMatch[1], 10),
+      courtId: parseInt(params.get("court_id"), 10),
+      duration: parseFloat(params.get("duration")),
+      endTime: params.get("end_time"),
+      startTime: params.get("start_time"),
+      bookingUrl: link.attrs.href,
+    });
+  }
+
+  return slots;
+}
+
+/**
+ * Parse the suggested alternative times of a "no courts available" response
+ */
+function parseSuggestedTimes(document) {
+  const times = [];
+
+  for (const heading of findAll(document, (element) => /^h[1-6]$/.test(element.tag))) {
+    const match = textContent(heading).match(/^(\d{1,2}:\d{2})\s*-\s*\d{1,2}:\d{2}$/);
+    const startTime = match && match[1].padStart(5, "0");
+    if (startTime && !times.includes(startTime)) {
+      times.push(startTime);
+    }
+  }
+
+  return times;
+}
+
+/**
+ * Read what a form would submit: its named fields (checkboxes and radios only when
+ * checked, a select's selected option) and the first submit button that has a name
+ * Returns { action, method, remote, fields: [[name, value]] }; method is the one sent
+ * ("get" or "post"), Rails' _method override stays among the fields
+ */
+function readForm(form) {
+  const fields = [];
+  let submitter = false;
+
+  const controls = findAll(form, (element) =>
+    ["input", "select", "textarea", "button"].includes(element.tag) && element.attrs.name && !("disabled" in element.attrs)
+  );
+  for (const control of controls) {
+    const { name } = control.attrs;
+    const type = (control.attrs.type || (control.tag === "button" ? "submit" : "text")).toLowerCase();
+
+    if (type === "submit" || type === "image") {
+      if (!submitter) fields.push([name, control.attrs.value || ""]);
+      submitter = true;
+    } else if (control.tag === "select") {
+      const options = findAll(control, (element) => element.tag === "option");
+      const option = options.find((element) => "selected" in element.attrs) || options[0];
+      if (option) fields.push([name, option.attrs.value ?? textContent(option)]);
+    } else if (control.tag === "textarea") {
+      fields.push([name, textContent(control)]);
+    } else if (type === "checkbox" || type === "radio") {
+      if ("checked" in control.attrs) fields.push([name, control.attrs.value ?? "on"]);
+    } else if (!["button", "reset", "file"].includes(type)) {
+      fields.push([name, control.attrs.value || ""]);
+    }
+  }
+
+  return {
+    action: form.attrs.action || "",
+    method: (form.attrs.method || "get").toLowerCase(),
+    remote: form.attrs["data-remote"] === "true",
+    fields,
+  };
+}
+
+/**
+ * Parse the form a page asks the user to submit, e.g. the booking confirmation
+ * That is the first form that posts anywhere but login or logout (the page layout
+ * may have those too); returns it as readForm does, or null when there is none
+ */
+export function parseSubmitForm(responseText) {
+  const document = parseHtml(getResponseHtml(responseText));
+  const form = find(document, (element) =>
+    element.tag === "form"
+    && (element.attrs.method || "").toLowerCase() === "post"
+    && !/\/(login|logout|sign_out)(\.js)?$/.test(element.attrs.action || "")
+  );
+  return form ? readForm(form) : null;
+}
+
+/**
+ * Parse the outcome of a booking or cancellation from the upstream response
+ */
+export function parseActionResult(responseText) {
+  const document = parseHtml(getResponseHtml(responseText));
+  const alert = findAlerts(document).find((a) => a.type !== "info");
+
+  if (!alert) {
+    return { success: false, message: "תגובה לא צפויה מאתר מרכזי הטניס" };
+  }
+
+  return {
+    success: alert.type === "success",
+    message: alert.message,
+  };
+}
+
+/**
+ * Find the link to the user's reservations in a page's navigation
+ * Returns its href, or null when the page has none
+ */
+export function parseReservationsLink(responseText) {
+  const document = parseHtml(getResponseHtml(responseText));
+  const link = find(document, (element) =>
+    element.tag === "a" && element.attrs.href && textContent(element).includes(RESERVATIONS_LINK_MARKER)
+  );
+  return link ? link.attrs.href : null;
+}
+
+/**
+ * The cancel control of a reservation row, as a form to submit (see readForm)
+ * A form of its own (button_to) is read as is; a link becomes the request rails-ujs
+ * makes of it: a post with _method for data-method links, a get otherwise
+ */
+function parseCancelControl(row) {
+  const form = find(row, (element) => element.tag === "form" && textContent(element).includes(CANCEL_MARKER));
+  if (form) {
+    return readForm(form);
+  }
+
+  const link = find(row, (element) =>
+    element.tag === "a" && element.attrs.href && textContent(element).includes(CANCEL_MARKER)
+  );
+  if (!link) {
+    return null;
+  }
+
+  const method = (link.attrs["data-method"] || "get").toLowerCase();
+  return {
+    action: link.attrs.href,
+    method: method === "get" ? "get" : "post",
+    remote: link.attrs["data-remote"] === "true",
+    fields: method === "get" || method === "post" ? [] : [["_method", method]],
+  };
+}
+
+/**
+ * Parse the user's reservations from the reservations page HTML
+ * Each reservation is a table row with a date; its court ("מגרש 3"), times
+ * ("19:00 - 20:00") and cancel control are found in the row wherever they are, and
+ * its center is the first cell with text other than those. Dates come back as dd/MM/yyyy
+ * and times as HH:MM whatever the page shows.
+ * Returns [{ center, courtNumber, date, startTime, endTime, cancellable, cancel }], where
+ * cancel is the cancel control as a form (or null), its action as given on the page
+ */
+export function parseReservations(html) {
+  const document = parseHtml(getResponseHtml(html));
+  const reservations = [];
+  const pad = (value) => String(value).padStart(2, "0");
+
+  for (const row of findAll(document, (element) => element.tag === "tr")) {
+    const text = textContent(row);
+    const dateMatch = text.match(/(\d{1,2})[./](\d{1,2})[./](\d{2}(?:\d{2})?)(?!\d)/);
+    if (!dateMatch) {
+      continue;
+    }
+
+    const [, day, month, year] = dateMatch;
+    const times = [...text.replace(dateMatch[0], "").matchAll(/(\d{1,2}):(\d{2})/g)]
+      .map(([, hours, minutes]) => `${pad(hours)}:${minutes}`);
+    const courtMatch = text.match(/מגרש\s*:?\s*(\d+)/);
+    const cancel = parseCancelControl(row);
+
+    const center = row.children
+      .filter((child) => child.tag === "td")
+      .map((cell) => textContent(cell).replace(/מגרש\s*:?\s*\d+/, "").trim())
+      .find((cell) => cell && !/\d/.test(cell) && !cell.includes(CANCEL_MARKER)) || null;
+
+    reservations.push({
+      center,
+      courtNumber: courtMatch ? parseInt(courtMatch[1], 10) : null,
+      date: `${pad(day)}/${pad(month)}/${year.length === 2 ? `20${year}` : year}`,
+      startTime: times[0] || null,
+      endTime: times[1] || null,
+      cancellable: Boolean(cancel),
+      cancel,
+    });
+  }
+
+  return reservations;
+}
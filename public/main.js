@@ -1,16 +1,47 @@
-import { AuthService, APIService, WeatherService } from './api.js';
-import { getToday, getNextDays, formatDateDisplay, generateTimeSlotsForDate, formatDate, getShortWeekday } from './utils.js';
-import { TENNIS_CENTERS } from './constants.js';
+import { AuthService, APIService, WeatherService, GeocodingService, PushService } from './api.js';
+import { getToday, getNextDays, formatDateDisplay, generateTimeSlotsForDate, formatDate, getShortWeekday, getWeekdayLetter, getDistanceKm, getPlayability, escapeHtml, findCourtBlocks, getClockTime, toMinutes, formatMinutes } from './utils.js';
+import { getHoliday } from './holidays.js';
+import { TENNIS_CENTERS, SCAN_DAYS, DURATIONS, DEFAULT_DURATION, DEFAULT_COURT_TYPE, BLOCK_LENGTHS, NEARBY_CENTERS, PLAYABILITY_THRESHOLDS } from './constants.js';
 
 // Initialize services
 const authService = new AuthService();
 const apiService = new APIService(authService);
 const weatherService = new WeatherService();
+const geocodingService = new GeocodingService();
+const pushService = new PushService(apiService);
 
 // State
 let currentScreen = 'login';
 let credentials = null;
 let selectedDate = null;
+let courtsSearch = null; // AbortController of the live search on the courts screen
+let courtsGeneration = 0; // Bumped whenever a courts search is replaced or called off
+let dateScan = null; // AbortController of the availability scan on the date screen
+let courtsView = localStorage.getItem('courtsView') || 'hours'; // 'hours' (list) or 'courts' (grid)
+let courtsRender = null; // Last { slots, results, date, weatherData } rendered on the courts screen
+let courtBlocks = []; // Back-to-back free slots on one court found in the last render
+let nearbySearch = null; // AbortController of the search of the closest centers
+let playabilityThresholds = loadPlayabilityThresholds(); // Threshold key -> value the playability score uses
+
+// Weather of a center we have no coordinates for
+const NO_WEATHER = { hourly: [], sunrise: null, sunset: null };
+
+// Title of the playability badge by level
+const PLAYABILITY_LABELS = {
+  good: 'מזג אוויר טוב לטניס',
+  fair: 'מזג אוויר סביר לטניס',
+  poor: 'מזג אוויר לא נוח לטניס',
+};
+
+// Status badge of slots without free courts
+const SLOT_STATUS_LABELS = {
+  full: 'תפוס',
+  closed: 'סגור',
+  error: 'שגיאה',
+  session_expired: 'מנותק',
+};
+let centers = loadStoredCenters();
+let userLocation = loadUserLocation(); // { lat, lng, label } centers are ranked by, once set
 
 /**
  * Show toast notification
@@ -26,10 +57,60 @@ function showToast(message, type = 'info') {
   }, 3000);
 }
 
+/**
+ * Get the selected booking duration in hours ("1", "1.5" or "2")
+ */
+function getDuration() {
+  return (credentials && credentials.duration) || DEFAULT_DURATION;
+}
+
+/**
+ * Get the selected court type ID (tennis unless another type was picked)
+ */
+function getCourtType() {
+  return (credentials && credentials.courtType) || DEFAULT_COURT_TYPE;
+}
+
+/**
+ * Get the block lengths (hours) worth looking for: longer than one booking
+ */
+function getBlockLengths() {
+  return BLOCK_LENGTHS.filter(b => parseFloat(b.value) > parseFloat(getDuration()));
+}
+
+/**
+ * Get the selected length (hours) of back-to-back play looked for, or null when none fits
+ */
+function getBlockLength() {
+  const lengths = getBlockLengths();
+  const length = lengths.find(b => b.value === credentials?.blockLength) || lengths[0];
+  return length ? length.value : null;
+}
+
+/**
+ * Options of the current search: booking duration and court type
+ */
+function getSearchOptions() {
+  return { duration: getDuration(), courtType: getCourtType() };
+}
+
 /**
  * Navigate to a screen
  */
 function navigateToScreen(screenId) {
+  // Leaving the courts screen ends its subscription to the Worker's re-scans
+  if (screenId !== 'courts-screen' && courtsSearch) {
+    cancelCourtsSearch();
+  }
+  if (screenId !== 'date-screen' && dateScan) {
+    dateScan.abort();
+    dateScan = null;
+  }
+  if (screenId !== 'nearby-screen' && nearbySearch) {
+    nearbySearch.abort();
+    nearbySearch = null;
+  }
+
   document.querySelectorAll('.screen').forEach(screen => {
     screen.classList.remove('active');
   });
@@ -37,6 +118,19 @@ function navigateToScreen(screenId) {
   currentScreen = screenId;
 }
 
+/**
+ * Call off the live courts search: its requests are aborted (the Worker then stops
+ * searching for it) and its callbacks, still pending or not, become stale
+ */
+function cancelCourtsSearch() {
+  courtsGeneration++;
+  if (courtsSearch) {
+    courtsSearch.abort();
+    courtsSearch = null;
+  }
+  showReconnecting(false);
+}
+
 /**
  * Handle login
  */
@@ -46,6 +140,7 @@ async function handleLogin(e) {
   let email = document.getElementById('email').value;
   let userId = document.getElementById('user-id').value;
   const tennisCenter = document.getElementById('tennis-center-city').value;
+  const duration = document.getElementById('duration-select').value;
 
   // Validate inputs
   if (!email || !userId) {
@@ -64,19 +159,22 @@ async function handleLogin(e) {
   }
 
   // Store credentials
-  credentials = { email, userId, tennisCenter };
+  credentials = { email, userId, tennisCenter, duration };
   localStorage.setItem('credentials', JSON.stringify(credentials));
 
   showToast('מתחבר...', 'info');
 
   try {
     await authService.login(email, userId);
-    showToast('התחברת בהצלחה!', 'success');
-    showDateSelection();
   } catch (error) {
     console.error('Login failed:', error);
     showToast(`התחברות נכשלה: ${error.message}`, 'error');
+    return;
   }
+
+  showToast('התחברת בהצלחה!', 'success');
+  await loadSearchOptions();
+  showDateSelection();
 }
 
 /**
@@ -121,6 +219,7 @@ function showDateSelection() {
   dateList.appendChild(weekdaysRow);
 
   // Create week rows with date cells
+  const dateCells = new Map();
   const numWeeks = totalCells / 7;
   for (let week = 0; week < numWeeks; week++) {
     const weekRow = document.createElement('div');
@@ -148,9 +247,18 @@ function showDateSelection() {
           dateCell.classList.add('today');
         }
 
+        // Mark holidays and their eves, which have shorter hours
+        const holiday = getHoliday(currentDate);
+        if (holiday) {
+          dateCell.classList.add(holiday.type);
+          dateCell.dataset.holiday = holiday.name;
+          dateCell.title = holiday.name;
+        }
+
         dateCell.innerHTML = `
           <div class="date-day">${label}</div>
         `;
+        dateCells.set(formatDate(currentDate), dateCell);
 
         dateCell.addEventListener('click', () => {
           // remove previous selection
@@ -164,15 +272,73 @@ function showDateSelection() {
     }
     dateList.appendChild(weekRow);
   }
+
+  scanAvailability(validDates.slice(0, SCAN_DAYS), dateCells);
+  updateWatchesBadge();
+}
+
+/**
+ * Scan availability for a range of dates and fill in the calendar cells as data arrives
+ */
+function scanAvailability(dates, dateCells) {
+  if (!credentials || !authService.isAuthenticated()) {
+    return;
+  }
+
+  dates.forEach(date => dateCells.get(formatDate(date))?.classList.add('scanning'));
+
+  const onDayResult = (dateStr, day) => {
+    const dateCell = dateCells.get(dateStr);
+    if (!dateCell) {
+      return;
+    }
+
+    const availableCount = Array.from(day.results.values()).filter(r => r.status === 'available').length;
+    const total = day.timeSlots.length;
+
+    // Heat level 0-4 based on the share of hours with a free court
+    const heat = availableCount === 0 ? 0 : Math.ceil((availableCount / total) * 4);
+
+    let countElement = dateCell.querySelector('.date-count');
+    if (!countElement) {
+      countElement = document.createElement('div');
+      countElement.className = 'date-count';
+      dateCell.appendChild(countElement);
+    }
+    countElement.textContent = day.results.size > 0 || day.isComplete ? availableCount : '';
+    dateCell.dataset.heat = heat;
+    const summary = `${availableCount} שעות פנויות מתוך ${total}`;
+    dateCell.title = dateCell.dataset.holiday ? `${dateCell.dataset.holiday} · ${summary}` : summary;
+
+    if (day.isComplete) {
+      dateCell.classList.remove('scanning');
+    }
+  };
+
+  if (dateScan) {
+    dateScan.abort();
+  }
+  dateScan = new AbortController();
+
+  apiService.scanDates(credentials.tennisCenter, dates, { ...getSearchOptions(), signal: dateScan.signal }, onDayResult)
+    .finally(() => dateCells.forEach(cell => cell.classList.remove('scanning')));
 }
 
 /**
  * Show courts for selected date
+ * With refresh set, every slot is searched on the site again instead of served from the Worker's cache
  */
-async function showCourts(date) {
+async function showCourts(date, { refresh = false } = {}) {
   selectedDate = date;
   navigateToScreen('courts-screen');
 
+  cancelCourtsSearch();
+  const search = new AbortController();
+  courtsSearch = search;
+  const generation = courtsGeneration;
+  // A newer search (or leaving the screen) makes everything below stale
+  const isStale = () => generation !== courtsGeneration;
+
   const loadingMessage = document.getElementById('loading-message');
   if (loadingMessage) {
     loadingMessage.style.display = 'block';
@@ -180,19 +346,28 @@ async function showCourts(date) {
 
   document.getElementById('selected-date-title').textContent = formatDateDisplay(date);
   document.getElementById('courts-list').innerHTML = '';
+  courtsRender = null;
+  renderBlockLengthOptions();
+  updateResultsAge(new Map());
 
   try {
     // Get tennis center coordinates
-    const tennisCenter = TENNIS_CENTERS.find(c => c.id === credentials.tennisCenter);
-    const weatherData = tennisCenter
+    const tennisCenter = findCenter(credentials.tennisCenter);
+    const weatherData = tennisCenter && !tennisCenter.missingLocation
       ? await weatherService.getHourlyWeather(tennisCenter.lat, tennisCenter.lng, date)
-      : [];
+      : NO_WEATHER;
+    if (isStale()) {
+      return;
+    }
 
     // Fetch available time slots from API
-    const availableTimeSlots = await apiService.fetchTimeSlots(credentials.tennisCenter, date);
+    const availableTimeSlots = await apiService.fetchTimeSlots(credentials.tennisCenter, date, getCourtType());
+    if (isStale()) {
+      return;
+    }
 
-    // Generate time slots for display
-    const slots = generateTimeSlotsForDate(date, availableTimeSlots);
+    // Generate time slots for display, from the center's opening hours when the site didn't answer
+    const slots = generateTimeSlotsForDate(date, availableTimeSlots, getDuration(), apiService.getOpeningHours(credentials.tennisCenter));
 
     if (slots.length === 0) {
       document.getElementById('courts-list').innerHTML = `<div class="empty-state"><h3>אין מגרשים זמינים</h3><p>יש לנסות תאריך אחר.</p></div>`;
@@ -204,10 +379,13 @@ async function showCourts(date) {
     }
 
     // Search for court availability for all slots with streaming
-    console.log('Searching for courts with:', { tennisCenter: credentials.tennisCenter, date, slotsCount: slots.length });
+    console.log('Searching for courts with:', { tennisCenter: credentials.tennisCenter, date, ...getSearchOptions(), slotsCount: slots.length });
 
     // Callback for partial results during streaming
     const onPartialResult = (results, isComplete) => {
+      if (isStale()) {
+        return;
+      }
 
       // hide loading-message
       if (loadingMessage) {
@@ -216,19 +394,29 @@ async function showCourts(date) {
 
       // Render results as they arrive
       renderCourtsResults(slots, results, date, weatherData);
+      updateResultsAge(results);
 
       if (isComplete) {
         console.log('Search completed. Results:', results);
-
-        const availableCount = Array.from(results.values()).filter(r => r.status === 'available').length;
-        if (availableCount === 0) {
-          document.getElementById('courts-list').innerHTML = `<div class="empty-state"><h3>אין מגרשים זמינים</h3><p>יש לנסות תאריך אחר.</p></div>`;
-        }
       }
     };
 
-    await apiService.searchMultipleSlots(credentials.tennisCenter, date, slots, onPartialResult);
+    // Stay subscribed so re-scans keep the screen current while it is open
+    await apiService.searchMultipleSlots(credentials.tennisCenter, date, slots, {
+      ...getSearchOptions(),
+      refresh,
+      subscribe: true,
+      signal: search.signal,
+      onReconnecting: (reconnecting) => {
+        if (!isStale()) {
+          showReconnecting(reconnecting);
+        }
+      },
+    }, onPartialResult);
   } catch (error) {
+    if (isStale()) {
+      return;
+    }
     console.error('Error fetching courts:', error);
     const loadingMessage = document.getElementById('loading-message');
     if (loadingMessage) {
@@ -238,10 +426,56 @@ async function showCourts(date) {
   }
 }
 
+/**
+ * Show how old the oldest cached result on the courts screen is
+ */
+function updateResultsAge(results) {
+  const ageElement = document.getElementById('results-age');
+  const ages = Array.from(results.values()).map(r => r.age).filter(age => age !== undefined);
+  const minutes = ages.length > 0 ? Math.floor(Math.max(...ages) / 60) : 0;
+
+  ageElement.hidden = minutes === 0;
+  ageElement.textContent = `חלק מהתוצאות מלפני ${minutes} דק׳`;
+}
+
+/**
+ * Show or hide the notice that the courts search lost its connection and is resuming
+ */
+function showReconnecting(reconnecting) {
+  document.getElementById('courts-reconnecting').hidden = !reconnecting;
+}
+
 /**
  * Render courts results (supports partial/streaming updates)
  */
-function renderCourtsResults(slots, results, date, weatherData = []) {
+function renderCourtsResults(slots, results, date, weatherData = NO_WEATHER) {
+  courtsRender = { slots, results, date, weatherData };
+
+  const blockLength = getBlockLength();
+  courtBlocks = blockLength ? findCourtBlocks(slots, results, getDuration(), parseFloat(blockLength)) : [];
+  renderCourtBlocks(courtBlocks, results.size > 0);
+  const blockSlots = new Set(courtBlocks.flatMap(block => block.slots.map(s => `${s.time}|${block.courtNumber}`)));
+
+  // Only a search where every slot is really full or closed has nothing to offer but
+  // the site's suggestions; failed slots stay on screen to be retried
+  const slotResults = slots.map(slot => results.get(`${formatDate(slot.date)}_${slot.time}`));
+  if (slotResults.every(result => result && ['full', 'closed'].includes(result.status))) {
+    const suggestions = renderSuggestedTimes(getSuggestedTimes(slots, slotResults));
+    document.getElementById('courts-list').innerHTML = `
+      <div class="empty-state">
+        <h3>אין מגרשים זמינים</h3>
+        <p>יש לנסות תאריך אחר${suggestions ? ' או אחד הזמנים שהאתר הציע' : ''}.</p>
+        ${suggestions}
+      </div>
+    `;
+    return;
+  }
+
+  if (courtsView === 'courts') {
+    renderCourtGrid(slots, results, blockSlots, weatherData);
+    return;
+  }
+
   const courtsList = document.getElementById('courts-list');
   courtsList.innerHTML = '';
 
@@ -251,9 +485,7 @@ function renderCourtsResults(slots, results, date, weatherData = []) {
     const key = `${formattedDate}_${slot.time}`;
     const result = results.get(key);
 
-    // Extract hour from time slot (e.g., "09:00" -> 9)
-    const hour = parseInt(slot.time.split(':')[0]);
-    const weather = weatherData.find(w => w.hour === hour);
+    const weatherInfo = renderWeatherInfo(slot, weatherData);
 
     // If no result yet, show loading state
     if (!result) {
@@ -262,11 +494,7 @@ function renderCourtsResults(slots, results, date, weatherData = []) {
       timeSlot.innerHTML = `
         <div class="time-slot-header">
           <div class="time-label">${slot.time}</div>
-          ${weather ? `<div class="weather-info">
-            <span class="temp">${Math.round(weather.temperature)}°C</span>
-            ${weather.precipitationProbability > 0 ? `<span class="precip"><span class="material-symbols-outlined">rainy</span> ${weather.precipitationProbability}%${weather.precipitation > 0 ? ` (${weather.precipitation.toFixed(1)}mm)` : ''}</span>` : ''}
-            ${weather.windSpeed >= 20 ? `<span class="wind"><span class="material-symbols-outlined">air</span><span style="direction: ltr;">${Math.round(weather.windSpeed)} km/h</span></span>` : ''}
-          </div>` : ''}
+          ${weatherInfo}
         </div>
         <div class="status-badge loading"></div>
       `;
@@ -274,30 +502,46 @@ function renderCourtsResults(slots, results, date, weatherData = []) {
       return;
     }
 
-    const isAvailable = result.status === 'available';
+    const { status } = result;
+    const isAvailable = status === 'available';
 
     const timeSlot = document.createElement('div');
-    timeSlot.className = `time-slot ${isAvailable ? 'available' : 'unavailable'}`;
+    timeSlot.className = `time-slot ${isAvailable ? 'available' : `unavailable ${status}`}`;
 
     const courtsInfo = isAvailable
       ? `${result.courts.length} מגרש${result.courts.length > 1 ? 'ים' : ''}`
-      : 'תפוס';
+      : SLOT_STATUS_LABELS[status];
+
+    // Failed searches can be retried for just this slot
+    const retry = status === 'error' || status === 'session_expired'
+      ? `<div class="slot-retry">
+          <span class="slot-error">${status === 'error' ? 'החיפוש נכשל' : 'פג תוקף ההתחברות'}</span>
+          <button class="retry-slot" data-time="${slot.time}" ${result.error ? `title="${result.error.replace(/"/g, '&quot;')}"` : ''}>
+            <span class="material-symbols-outlined">refresh</span> נסו שוב
+          </button>
+        </div>`
+      : '';
+
+    const suggestions = renderSuggestedTimes(getSuggestedTimes(slots, [result]));
 
     const courtTags = isAvailable
-      ? result.courts.map(num => `<span class="court-tag">${num}</span>`).join('')
+      ? result.courts.map(num => {
+        const courtSlot = result.slots.find(s => s.courtNumber === num);
+        return courtSlot
+          ? `<button class="court-tag${blockSlots.has(`${slot.time}|${num}`) ? ' in-block' : ''}" data-court-number="${num}" data-booking-url="${escapeHtml(courtSlot.bookingUrl)}" data-time="${slot.time}">${num}</button>`
+          : `<span class="court-tag">${num}</span>`;
+      }).join('')
       : '';
 
     timeSlot.innerHTML = `
       <div class="time-slot-header">
         <div class="time-label">${slot.time}</div>
-        ${weather ? `<div class="weather-info">
-          <span class="temp">${Math.round(weather.temperature)}°C</span>
-          ${weather.precipitationProbability > 0 ? `<span class="precip"><span class="material-symbols-outlined">rainy</span> ${weather.precipitationProbability}%${weather.precipitation > 0 ? ` (${weather.precipitation.toFixed(1)}mm)` : ''}</span>` : ''}
-          ${weather.windSpeed >= 20 ? `<span class="wind"><span class="material-symbols-outlined">air</span> ${Math.round(weather.windSpeed)} km/h</span>` : ''}
-        </div>` : ''}
+        ${weatherInfo}
       </div>
-      <div class="status-badge ${isAvailable ? 'available' : 'unavailable'}">${courtsInfo}</div>
+      <div class="status-badge ${isAvailable ? 'available' : `unavailable ${status}`}">${courtsInfo}</div>
       ${courtTags ? `<div class="court-tags">${courtTags}</div>` : ''}
+      ${suggestions}
+      ${retry}
     `;
 
     courtsList.appendChild(timeSlot);
@@ -305,127 +549,1380 @@ function renderCourtsResults(slots, results, date, weatherData = []) {
 }
 
 /**
- * Handle logout
+ * The site's nearest free times offered for full slots, unless the list already has them
  */
-function handleLogout() {
-  authService.logout();
-  localStorage.removeItem('credentials');
-  credentials = null;
-  document.getElementById('login-form').reset();
-  navigateToScreen('login-screen');
-  showToast('התנתקת בהצלחה', 'success');
+function getSuggestedTimes(slots, slotResults) {
+  const times = slotResults
+    .filter(result => result?.status === 'full')
+    .flatMap(result => result.suggestedTimes || [])
+    .filter(time => !slots.some(s => s.time === time));
+  return [...new Set(times)].sort();
 }
 
 /**
- * Handle back button
+ * Buttons that search suggested times (see handleSuggestedTimeClick)
  */
-function handleBack() {
-  showDateSelection();
+function renderSuggestedTimes(times) {
+  return times.length > 0
+    ? `<div class="suggested-times">זמנים אחרים: ${times.map(time => `<button class="suggested-time" data-time="${time}">${time}</button>`).join('')}</div>`
+    : '';
 }
 
 /**
- * Update tennis center city display
+ * Weather of a slot's hour: its playability badge, a lights marker when the booking runs
+ * past sunset (or starts before sunrise), the temperature, the chance of rain, and the
+ * other readings that are past the user's thresholds
  */
-function updateTennisCenterDisplay(tennisCenterId) {
-  const displayElement = document.getElementById('tennis-center-city');
-  if (displayElement) {
-    displayElement.value = tennisCenterId;
+function renderWeatherInfo(slot, weatherData) {
+  // Extract hour from time slot (e.g., "09:00" -> 9)
+  const hour = parseInt(slot.time.split(':')[0]);
+  const weather = weatherData.hourly.find(w => w.hour === hour);
+  const lights = needsLights(slot.time, weatherData)
+    ? `<span class="lights" title="אחרי השקיעה, נדרשת תאורה"><span class="material-symbols-outlined">lightbulb</span></span>`
+    : '';
+
+  if (!weather) {
+    return lights ? `<div class="weather-info">${lights}</div>` : '';
   }
+
+  const { score, level, reasons } = getPlayability(weather, playabilityThresholds);
+  const title = reasons.length > 0 ? `${PLAYABILITY_LABELS[level]}: ${reasons.join(', ')}` : PLAYABILITY_LABELS[level];
+  const feelsLike = Math.round(weather.apparentTemperature) !== Math.round(weather.temperature)
+    ? ` (מורגש ${Math.round(weather.apparentTemperature)}°)`
+    : '';
+
+  return `<div class="weather-info">
+    <span class="playability ${level}" title="${title}">${score}</span>
+    ${lights}
+    <span class="temp">${Math.round(weather.temperature)}°C${feelsLike}</span>
+    ${weather.precipitationProbability > 0 ? `<span class="precip"><span class="material-symbols-outlined">rainy</span> ${weather.precipitationProbability}%${weather.precipitation > 0 ? ` (${weather.precipitation.toFixed(1)}mm)` : ''}</span>` : ''}
+    ${weather.windSpeed > playabilityThresholds.maxWindSpeed ? `<span class="wind"><span class="material-symbols-outlined">air</span> ${Math.round(weather.windSpeed)} km/h</span>` : ''}
+    ${weather.uvIndex > playabilityThresholds.maxUvIndex ? `<span class="uv"><span class="material-symbols-outlined">wb_sunny</span> UV ${Math.round(weather.uvIndex)}</span>` : ''}
+    ${weather.humidity > playabilityThresholds.maxHumidity ? `<span class="humidity"><span class="material-symbols-outlined">humidity_percentage</span> ${Math.round(weather.humidity)}%</span>` : ''}
+  </div>`;
 }
 
 /**
- * Parse date from URL parameter
- * Accepts formats: YYYY-MM-DD, DD/MM/YYYY
+ * Whether a booking starting at a time (HH:MM) is played partly in the dark:
+ * it ends after sunset or starts before sunrise. Unknown without sun times.
  */
-function parseDateFromURL() {
-  const urlParams = new URLSearchParams(window.location.search);
-  const dateParam = urlParams.get('date');
+function needsLights(time, { sunrise, sunset }) {
+  if (!sunrise || !sunset) {
+    return false;
+  }
+  const start = toMinutes(time);
+  const end = start + parseFloat(getDuration()) * 60;
+  return end > toMinutes(sunset) || start < toMinutes(sunrise);
+}
 
-  if (!dateParam) {
-    return null;
+/**
+ * The user's playability thresholds, over the defaults
+ */
+function loadPlayabilityThresholds() {
+  const thresholds = Object.fromEntries(PLAYABILITY_THRESHOLDS.map(t => [t.key, t.value]));
+  try {
+    return { ...thresholds, ...JSON.parse(localStorage.getItem('playabilityThresholds')) };
+  } catch (error) {
+    console.error('Invalid stored playability thresholds:', error);
+    return thresholds;
   }
+}
 
-  let date;
+/**
+ * Fill the playability settings with the current thresholds
+ */
+function renderPlayabilitySettings() {
+  const container = document.getElementById('playability-thresholds');
+  container.innerHTML = PLAYABILITY_THRESHOLDS
+    .map(t => `<label class="playability-threshold">
+      <span>${t.label}${t.unit ? ` (${t.unit})` : ''}</span>
+      <input type="number" data-key="${t.key}" value="${playabilityThresholds[t.key]}" step="1">
+    </label>`)
+    .join('');
+}
 
-  // Try parsing YYYY-MM-DD format (ISO)
-  if (dateParam.match(/^\d{4}-\d{2}-\d{2}$/)) {
-    date = new Date(dateParam);
+/**
+ * Save a changed playability threshold and score the hours again
+ */
+function handlePlayabilityThresholdChange(e) {
+  const { key } = e.target.dataset;
+  const value = parseFloat(e.target.value);
+  if (!key || !Number.isFinite(value)) {
+    return;
   }
-  // Try parsing DD/MM/YYYY format
-  else if (dateParam.match(/^\d{2}\/\d{2}\/\d{4}$/)) {
-    const [day, month, year] = dateParam.split('/');
-    date = new Date(year, month - 1, day);
+
+  playabilityThresholds = { ...playabilityThresholds, [key]: value };
+  localStorage.setItem('playabilityThresholds', JSON.stringify(playabilityThresholds));
+  rerenderCourtsResults();
+}
+
+/**
+ * Go back to the default playability thresholds
+ */
+function resetPlayabilityThresholds() {
+  localStorage.removeItem('playabilityThresholds');
+  playabilityThresholds = loadPlayabilityThresholds();
+  renderPlayabilitySettings();
+  rerenderCourtsResults();
+}
+
+/**
+ * Handle a tap on a failed slot's retry button: search just that slot again
+ */
+async function handleRetrySlotClick(e) {
+  const button = e.target.closest('button.retry-slot');
+  if (!button || !courtsRender) {
+    return;
   }
-  else {
-    console.error('Invalid date format in URL. Use YYYY-MM-DD or DD/MM/YYYY');
-    return null;
+
+  const { time } = button.dataset;
+  const { results, date } = courtsRender;
+  const key = `${formatDate(date)}_${time}`;
+  const generation = courtsGeneration;
+
+  // Back to loading until the new result arrives
+  results.delete(key);
+  rerenderCourtsResults();
+
+  const result = await apiService.searchSlot(credentials.tennisCenter, date, time, getSearchOptions());
+  if (generation === courtsGeneration) {
+    results.set(key, result);
+    rerenderCourtsResults();
   }
+}
 
-  // Validate date is valid
-  if (isNaN(date.getTime())) {
-    console.error('Invalid date in URL');
-    return null;
+/**
+ * Handle a tap on a suggested time: search that time too and merge it into the list
+ * Suggestions may start on the half hour, which the list normally leaves out
+ */
+async function handleSuggestedTimeClick(e) {
+  const button = e.target.closest('button.suggested-time');
+  if (!button || !courtsRender || !courtsSearch) {
+    return;
   }
 
-  // Validate date is in the future (or today)
-  const today = getToday();
-  if (date < today) {
-    console.error('Date in URL is in the past');
-    return null;
+  const { time } = button.dataset;
+  const render = courtsRender;
+  const { slots, date } = render;
+  const generation = courtsGeneration;
+  if (!slots.some(s => s.time === time)) {
+    slots.push({ date: new Date(date), time });
+    slots.sort((a, b) => a.time.localeCompare(b.time));
   }
+  renderCourtsResults(slots, render.results, date, render.weatherData);
 
-  // Validate date is within 14 days
-  const maxDate = new Date(today);
-  maxDate.setDate(today.getDate() + 14);
-  if (date > maxDate) {
-    console.error('Date in URL is too far in the future (max 14 days)');
-    return null;
+  try {
+    // The live search's results Map is shared, so its later renders keep this result too
+    await apiService.searchMultipleSlots(credentials.tennisCenter, date, [{ date, time }], {
+      ...getSearchOptions(),
+      signal: courtsSearch.signal,
+    }, (results) => {
+      if (generation !== courtsGeneration) {
+        return;
+      }
+      results.forEach((result, key) => render.results.set(key, result));
+      renderCourtsResults(slots, render.results, date, render.weatherData);
+    });
+  } catch (error) {
+    // Called off along with the courts search, e.g. the user went back
+    if (error.name === 'AbortError' || generation !== courtsGeneration) {
+      return;
+    }
+    console.error('Error searching suggested time:', error);
+    // Shown as a failed slot, which can be retried on its own
+    const key = `${formatDate(date)}_${time}`;
+    if (!render.results.has(key)) {
+      render.results.set(key, { status: 'error', error: error.message });
+      renderCourtsResults(slots, render.results, date, render.weatherData);
+    }
+    showToast(`החיפוש בשעה ${time} נכשל`, 'error');
   }
+}
 
-  return date;
+/**
+ * Render the results as a grid of courts (rows) by hours (columns)
+ * Only courts that were free at some hour are known, so only they get a row.
+ * Free cells are court tags, booked like the ones in the hour list; the times the
+ * site suggested for full hours are listed under the grid.
+ */
+function renderCourtGrid(slots, results, blockSlots = new Set(), weatherData = NO_WEATHER) {
+  const courtsList = document.getElementById('courts-list');
+  courtsList.innerHTML = '';
+
+  const slotResults = slots.map(slot => results.get(`${formatDate(slot.date)}_${slot.time}`));
+  const courtNumbers = [...new Set(slotResults.flatMap(result => result?.slots?.map(s => s.courtNumber) || []))]
+    .sort((a, b) => a - b);
+
+  const grid = document.createElement('div');
+  grid.className = 'court-grid';
+  grid.style.gridTemplateColumns = `3em repeat(${slots.length}, minmax(2.5em, 1fr))`;
+
+  // Header row: the hours
+  grid.appendChild(document.createElement('div'));
+  slots.forEach((slot, index) => {
+    const label = document.createElement('div');
+    label.className = `court-grid-label${slotResults[index] ? '' : ' loading'}`;
+    label.textContent = slot.time;
+    if (needsLights(slot.time, weatherData)) {
+      label.classList.add('needs-lights');
+      label.title = 'אחרי השקיעה, נדרשת תאורה';
+    }
+    grid.appendChild(label);
+  });
+
+  courtNumbers.forEach(courtNumber => {
+    const label = document.createElement('div');
+    label.className = 'court-grid-label';
+    label.textContent = courtNumber;
+    grid.appendChild(label);
+
+    slots.forEach((slot, index) => {
+      const result = slotResults[index];
+      const courtSlot = result?.slots?.find(s => s.courtNumber === courtNumber);
+
+      if (!courtSlot) {
+        const cell = document.createElement('div');
+        cell.className = `court-grid-cell ${result ? result.status : 'loading'}`;
+        grid.appendChild(cell);
+        return;
+      }
+
+      const tag = document.createElement('button');
+      tag.className = `court-tag court-grid-cell${blockSlots.has(`${slot.time}|${courtNumber}`) ? ' in-block' : ''}`;
+      tag.title = `מגרש ${courtNumber} · ${slot.time}`;
+      Object.assign(tag.dataset, {
+        courtNumber,
+        bookingUrl: courtSlot.bookingUrl,
+        time: slot.time,
+      });
+      grid.appendChild(tag);
+    });
+  });
+
+  const scroller = document.createElement('div');
+  scroller.className = 'court-grid-scroller';
+  scroller.appendChild(grid);
+  courtsList.appendChild(scroller);
+  courtsList.insertAdjacentHTML('beforeend', renderSuggestedTimes(getSuggestedTimes(slots, slotResults)));
 }
 
 /**
- * Initialize app
+ * List the blocks found on the courts screen
  */
-function init() {
-  // Check if already logged in
-  const storedCredentials = localStorage.getItem('credentials');
-  const urlDate = parseDateFromURL();
+function renderCourtBlocks(blocks, hasResults) {
+  const list = document.getElementById('court-blocks-list');
 
-  if (storedCredentials && authService.loadFromStorage()) {
-    credentials = JSON.parse(storedCredentials);
-    updateTennisCenterDisplay(credentials.tennisCenter);
+  if (blocks.length === 0) {
+    list.innerHTML = hasResults ? `<p class="court-blocks-empty">אין כרגע רצף פנוי באורך הזה</p>` : '';
+    return;
+  }
 
-    // If date is provided in URL, go directly to courts screen
-    if (urlDate) {
-      showCourts(urlDate);
-    } else {
-      showDateSelection();
+  list.innerHTML = blocks.map((block, index) => `
+    <button class="court-block" data-block-index="${index}">
+      מגרש ${block.courtNumber} · <span class="court-block-time">${formatMinutes(block.start)}–${formatMinutes(block.end)}</span>
+    </button>
+  `).join('');
+}
+
+/**
+ * Fill the block length selector with the lengths that fit the booking duration
+ * The block list is hidden when none does
+ */
+function renderBlockLengthOptions() {
+  const lengths = getBlockLengths();
+  document.getElementById('court-blocks').hidden = lengths.length === 0;
+  document.getElementById('court-blocks-list').innerHTML = '';
+
+  const select = document.getElementById('block-length-select');
+  select.innerHTML = lengths
+    .map(b => `<option value="${b.value}">${b.label}</option>`)
+    .join('');
+  select.value = getBlockLength() || '';
+}
+
+/**
+ * Handle a tap on a block: confirm and book its slots one after another
+ * Stops at the first booking that fails; what was booked until then is listed and
+ * can be cancelled (see handlePartialBlockBooking)
+ */
+async function handleCourtBlockClick(e) {
+  const button = e.target.closest('button.court-block');
+  if (!button || button.disabled || !selectedDate) {
+    return;
+  }
+
+  const block = courtBlocks[button.dataset.blockIndex];
+  const date = selectedDate;
+  const range = `${formatMinutes(block.start)}–${formatMinutes(block.end)}`;
+  const confirmed = window.confirm(`להזמין את מגרש ${block.courtNumber} ב-${formatDateDisplay(date)} בשעות ${range}?`);
+  if (!confirmed) {
+    return;
+  }
+
+  button.disabled = true;
+  showToast('מזמין...', 'info');
+
+  for (const [index, courtSlot] of block.slots.entries()) {
+    const result = await apiService.bookCourt(credentials.tennisCenter, date, courtSlot, getCourtType());
+
+    if (!result.success) {
+      button.disabled = false;
+      if (index === 0) {
+        showToast(`ההזמנה נכשלה בשעה ${courtSlot.time}: ${result.message}`, 'error');
+      } else {
+        await handlePartialBlockBooking(block, date, block.slots.slice(0, index), courtSlot, result.message);
+      }
+      return;
     }
-  } else if (urlDate) {
-    // If date is provided but not logged in, show toast
-    showToast('יש להתחבר תחילה', 'error');
   }
 
-  // Event listeners
-  document.getElementById('login-form').addEventListener('submit', handleLogin);
-  document.getElementById('logout-btn').addEventListener('click', handleLogout);
-  document.getElementById('back-btn').addEventListener('click', handleBack);
+  button.classList.add('booked');
+  showToast(`מגרש ${block.courtNumber} הוזמן בשעות ${range}`, 'success');
+}
 
-  // Tennis center selector change handler
-  document.getElementById('tennis-center-city').addEventListener('change', function (e) {
-    if (e.target.value && credentials) {
-      credentials.tennisCenter = e.target.value;
-      localStorage.setItem('credentials', JSON.stringify(credentials));
-      showToast('מרכז הטניס עודכן', 'success');
-      // Reload current screen if on date selection or courts
-      if (currentScreen === 'date-screen') {
-        showDateSelection();
-      } else if (currentScreen === 'courts-screen' && selectedDate) {
-        showCourts(selectedDate);
+/**
+ * A block booking failed part of the way: list the slots that were booked and offer
+ * to cancel them, since half a block is seldom what the user wanted
+ */
+async function handlePartialBlockBooking(block, date, bookedSlots, failedSlot, message) {
+  const bookedTimes = bookedSlots.map(courtSlot => courtSlot.time).join(', ');
+  const cancel = window.confirm(
+    `ההזמנה נכשלה בשעה ${failedSlot.time}: ${message}\n` +
+    `מגרש ${block.courtNumber} כבר הוזמן בשעות ${bookedTimes}. לבטל את ההזמנות האלה?`
+  );
+  if (!cancel) {
+    showToast(`הוזמן רק חלק מהרצף: מגרש ${block.courtNumber} בשעות ${bookedTimes}`, 'error');
+    return;
+  }
+
+  showToast('מבטל...', 'info');
+  let cancelled = 0;
+  try {
+    // Bookings don't return anything to cancel them by, so they are matched among the
+    // user's reservations by court, date and start time (each reservation once)
+    const reservations = (await apiService.fetchReservations())
+      .filter(r => r.cancellable && r.courtNumber === block.courtNumber && r.date === formatDate(date) && r.startTime);
+    for (const courtSlot of bookedSlots) {
+      const start = toMinutes(getClockTime(courtSlot.startTime) || courtSlot.time);
+      const index = reservations.findIndex(r => toMinutes(r.startTime) === start);
+      if (index === -1) {
+        continue;
+      }
+      const [reservation] = reservations.splice(index, 1);
+      if ((await apiService.cancelReservation(reservation)).success) {
+        cancelled++;
       }
     }
+  } catch (error) {
+    console.error('Error cancelling block bookings:', error);
+  }
+
+  if (cancelled === bookedSlots.length) {
+    showToast(`ההזמנות של מגרש ${block.courtNumber} בשעות ${bookedTimes} בוטלו`, 'success');
+  } else {
+    showToast(`לא כל ההזמנות בוטלו (${cancelled} מתוך ${bookedSlots.length}), בדקו ב"ההזמנות שלי"`, 'error');
+  }
+}
+
+/**
+ * Switch the courts screen between the hour list and the court grid
+ */
+function setCourtsView(view) {
+  courtsView = view;
+  localStorage.setItem('courtsView', view);
+  document.querySelectorAll('#courts-view-toggle button').forEach(button => {
+    button.setAttribute('aria-pressed', String(button.dataset.view === view));
+  });
+
+  rerenderCourtsResults();
+}
+
+/**
+ * Render the courts screen again from its last results, e.g. after a setting changed
+ */
+function rerenderCourtsResults() {
+  if (courtsRender) {
+    const { slots, results, date, weatherData } = courtsRender;
+    renderCourtsResults(slots, results, date, weatherData);
+  }
+}
+
+/**
+ * Handle a tap on a court tag: confirm and book that court
+ */
+async function handleCourtTagClick(e) {
+  const tag = e.target.closest('button.court-tag');
+  if (!tag || tag.disabled || !selectedDate) {
+    return;
+  }
+
+  // Tags of the nearby search carry their center, whose tennis courts were searched
+  const { courtNumber, bookingUrl, time, unitId } = tag.dataset;
+  const center = unitId ? findCenter(unitId) : null;
+  const confirmed = window.confirm(`להזמין את מגרש ${courtNumber}${center ? ` ב${center.name}` : ''} ב-${formatDateDisplay(selectedDate)} בשעה ${time}?`);
+  if (!confirmed) {
+    return;
+  }
+
+  tag.disabled = true;
+  showToast('מזמין...', 'info');
+
+  const result = await apiService.bookCourt(unitId || credentials.tennisCenter, selectedDate, { bookingUrl }, unitId ? DEFAULT_COURT_TYPE : getCourtType());
+
+  if (result.success) {
+    tag.classList.add('booked');
+    showToast(result.message || 'ההזמנה בוצעה בהצלחה', 'success');
+  } else {
+    tag.disabled = false;
+    showToast(`ההזמנה נכשלה: ${result.message}`, 'error');
+  }
+}
+
+/**
+ * Show the user's upcoming reservations
+ */
+async function showReservations() {
+  navigateToScreen('reservations-screen');
+
+  const loading = document.getElementById('reservations-loading');
+  const reservationsList = document.getElementById('reservations-list');
+  loading.style.display = 'block';
+  reservationsList.innerHTML = '';
+
+  try {
+    const reservations = await apiService.fetchReservations();
+    renderReservations(reservations);
+  } catch (error) {
+    console.error('Error fetching reservations:', error);
+    showToast('טעינת ההזמנות נכשלה', 'error');
+  } finally {
+    loading.style.display = 'none';
+  }
+}
+
+/**
+ * Render the reservations list
+ */
+function renderReservations(reservations) {
+  const reservationsList = document.getElementById('reservations-list');
+  reservationsList.innerHTML = '';
+
+  if (reservations.length === 0) {
+    reservationsList.innerHTML = `<div class="empty-state"><h3>אין הזמנות קרובות</h3></div>`;
+    return;
+  }
+
+  // Reservations are text from the site: the nodes are built with textContent, never as markup
+  reservations.forEach((reservation) => {
+    const item = document.createElement('div');
+    item.className = 'reservation-item';
+
+    const details = document.createElement('div');
+    details.className = 'reservation-details';
+    const time = document.createElement('div');
+    time.className = 'reservation-time';
+    time.textContent = `${reservation.date} · ${reservation.startTime || ''}${reservation.endTime ? `-${reservation.endTime}` : ''}`;
+    const place = document.createElement('div');
+    place.className = 'reservation-place';
+    place.textContent = [reservation.center, reservation.courtNumber ? `מגרש ${reservation.courtNumber}` : null]
+      .filter(Boolean)
+      .join(' · ');
+    details.append(time, place);
+    item.appendChild(details);
+
+    if (reservation.cancellable) {
+      const cancelButton = document.createElement('button');
+      cancelButton.className = 'btn btn-secondary btn-small cancel-reservation-btn';
+      cancelButton.textContent = 'ביטול';
+      item.appendChild(cancelButton);
+    }
+
+    item.querySelector('.cancel-reservation-btn')?.addEventListener('click', async (e) => {
+      if (!window.confirm(`לבטל את ההזמנה ב-${reservation.date} בשעה ${reservation.startTime}?`)) {
+        return;
+      }
+
+      e.target.disabled = true;
+      const result = await apiService.cancelReservation(reservation);
+      if (result.success) {
+        showToast(result.message || 'ההזמנה בוטלה', 'success');
+        showReservations();
+      } else {
+        e.target.disabled = false;
+        showToast(`הביטול נכשל: ${result.message}`, 'error');
+      }
+    });
+
+    reservationsList.appendChild(item);
+  });
+}
+
+/**
+ * Show the insights screen: when the selected center tends to have free courts
+ */
+async function showInsights() {
+  navigateToScreen('insights-screen');
+
+  const loading = document.getElementById('insights-loading');
+  const heatmap = document.getElementById('insights-heatmap');
+  loading.style.display = 'block';
+  heatmap.innerHTML = '';
+
+  try {
+    const cells = await apiService.fetchAnalytics(credentials.tennisCenter, getSearchOptions());
+    renderHeatmap(cells);
+  } catch (error) {
+    console.error('Error fetching analytics:', error);
+    showToast('טעינת הנתונים נכשלה', 'error');
+  } finally {
+    loading.style.display = 'none';
+  }
+}
+
+/**
+ * Render the weekday × hour heatmap of how often courts were free
+ */
+function renderHeatmap(cells) {
+  const heatmap = document.getElementById('insights-heatmap');
+  heatmap.innerHTML = '';
+
+  if (cells.length === 0) {
+    heatmap.innerHTML = `<div class="empty-state"><h3>אין עדיין מספיק נתונים</h3><p>הנתונים נאספים מכל חיפוש במרכז הזה.</p></div>`;
+    return;
+  }
+
+  const hours = [];
+  for (let hour = 7; hour <= 22; hour++) {
+    hours.push(hour);
+  }
+  const cellsByKey = new Map(cells.map(cell => [`${cell.weekday}:${cell.hour}`, cell]));
+
+  // Header row: the hours
+  heatmap.appendChild(document.createElement('div'));
+  hours.forEach(hour => {
+    const label = document.createElement('div');
+    label.className = 'heatmap-label';
+    label.textContent = hour;
+    heatmap.appendChild(label);
+  });
+
+  for (let weekday = 0; weekday < 7; weekday++) {
+    const label = document.createElement('div');
+    label.className = 'heatmap-label';
+    label.textContent = getWeekdayLetter(weekday);
+    heatmap.appendChild(label);
+
+    hours.forEach(hour => {
+      const element = document.createElement('div');
+      element.className = 'heatmap-cell';
+
+      const cell = cellsByKey.get(`${weekday}:${hour}`);
+      if (cell) {
+        const percent = Math.round(cell.freeRate * 100);
+        element.dataset.heat = cell.freeRate === 0 ? 0 : Math.ceil(cell.freeRate * 4);
+        element.textContent = cell.bookAheadDays ?? '';
+        element.title = `יום ${getWeekdayLetter(weekday)} ${hour}:00 · פנוי ב-${percent}% מהבדיקות (${cell.samples})`
+          + (cell.bookAheadDays === null ? '' : ` · להזמין ${cell.bookAheadDays} ימים מראש`);
+      }
+      heatmap.appendChild(element);
+    });
+  }
+}
+
+/**
+ * Show the availability watches screen
+ */
+async function showWatches() {
+  navigateToScreen('watches-screen');
+
+  // Fill the form selectors: the next 14 days and every hour the centers open
+  const dateSelect = document.getElementById('watch-date');
+  dateSelect.innerHTML = getNextDays(getToday(), 14)
+    .map(date => `<option value="${date.getTime()}">${formatDateDisplay(date)}</option>`)
+    .join('');
+
+  const hours = [];
+  for (let hour = 7; hour <= 22; hour++) {
+    hours.push(`${String(hour).padStart(2, '0')}:00`);
+  }
+  const hourOptions = hours.map(time => `<option value="${time}">${time}</option>`).join('');
+  document.getElementById('watch-from').innerHTML = hourOptions;
+  document.getElementById('watch-to').innerHTML = hourOptions;
+  document.getElementById('watch-from').value = '19:00';
+  document.getElementById('watch-to').value = '21:00';
+
+  updatePushToggle();
+  await loadWatches();
+}
+
+/**
+ * Update the push notifications button to reflect the current subscription
+ */
+async function updatePushToggle() {
+  const pushToggle = document.getElementById('push-toggle-btn');
+  if (!pushService.isSupported()) {
+    pushToggle.hidden = true;
+    return;
+  }
+
+  const subscription = await pushService.getSubscription();
+  // Storing it again keeps it from expiring in the Worker, and ties it to the user now logged in
+  if (subscription) {
+    apiService.savePushSubscription(subscription.toJSON())
+      .catch(error => console.error('Push subscription renewal error:', error));
+  }
+  pushToggle.hidden = false;
+  pushToggle.dataset.subscribed = subscription ? 'true' : 'false';
+  pushToggle.innerHTML = subscription
+    ? `<span class="material-symbols-outlined">notifications_active</span> התראות לטלפון פעילות`
+    : `<span class="material-symbols-outlined">notifications</span> קבלת התראות לטלפון`;
+}
+
+/**
+ * Handle push notifications button: subscribe or unsubscribe this browser
+ */
+async function handlePushToggle() {
+  const pushToggle = document.getElementById('push-toggle-btn');
+  pushToggle.disabled = true;
+
+  try {
+    if (pushToggle.dataset.subscribed === 'true') {
+      await pushService.unsubscribe();
+      showToast('התראות לטלפון כובו', 'success');
+    } else {
+      await pushService.subscribe();
+      showToast('התראות לטלפון הופעלו', 'success');
+    }
+  } catch (error) {
+    console.error('Push subscription error:', error);
+    showToast(`הפעלת ההתראות נכשלה: ${error.message}`, 'error');
+  } finally {
+    pushToggle.disabled = false;
+    updatePushToggle();
+  }
+}
+
+/**
+ * Load and render the watches list
+ */
+async function loadWatches() {
+  const watchesList = document.getElementById('watches-list');
+
+  try {
+    const watches = await apiService.fetchWatches();
+    renderWatches(watches);
+    localStorage.setItem('watchesSeenAt', String(Date.now()));
+    document.getElementById('watches-btn').classList.remove('has-events');
+  } catch (error) {
+    console.error('Error fetching watches:', error);
+    watchesList.innerHTML = '';
+    showToast('טעינת ההתראות נכשלה', 'error');
+  }
+}
+
+/**
+ * Render the watches list with the events each watch fired
+ */
+function renderWatches(watches) {
+  const watchesList = document.getElementById('watches-list');
+  watchesList.innerHTML = '';
+
+  if (watches.length === 0) {
+    watchesList.innerHTML = `<div class="empty-state"><h3>אין התראות</h3><p>נבדוק כל כמה דקות אם התפנה מגרש בשעות שבחרת.</p></div>`;
+    return;
+  }
+
+  watches.forEach((watch) => {
+    const center = findCenter(watch.unitId);
+    const item = document.createElement('div');
+    item.className = 'watch-item';
+
+    const events = watch.events.map(event => `
+      <li class="watch-event">
+        התפנ${event.courts.length > 1 ? 'ו' : 'ה'} ${event.courts.length} מגרש${event.courts.length > 1 ? 'ים' : ''} ב-${event.timeSlot}
+        <span class="watch-event-time">${new Date(event.firedAt).toLocaleString('he-IL', { dateStyle: 'short', timeStyle: 'short' })}</span>
+      </li>
+    `).join('');
+
+    item.innerHTML = `
+      <div class="watch-header">
+        <div class="watch-details">
+          <div class="watch-time">${watch.date} · ${watch.fromTime}-${watch.toTime}</div>
+          <div class="watch-place">${center ? center.name : watch.unitId} · ${watch.minCourts} מגרש${watch.minCourts > 1 ? 'ים' : ''} לפחות</div>
+          <div class="watch-checked">${watch.lastCheckedAt ? `נבדק ${new Date(watch.lastCheckedAt).toLocaleTimeString('he-IL', { timeStyle: 'short' })}` : 'טרם נבדק'}</div>
+          ${watch.needsLogin ? `<div class="watch-needs-login">הבדיקות הושהו כי פג תוקף ההתחברות. עם ההתחברות הן יתחדשו בבדיקה הבאה.</div>` : ''}
+        </div>
+        <button class="btn btn-secondary btn-small delete-watch-btn">מחיקה</button>
+      </div>
+      ${events ? `<ul class="watch-events">${events}</ul>` : ''}
+    `;
+
+    item.querySelector('.delete-watch-btn').addEventListener('click', async (e) => {
+      e.target.disabled = true;
+      try {
+        await apiService.deleteWatch(watch.id);
+        item.remove();
+        showToast('ההתראה נמחקה', 'success');
+      } catch (error) {
+        console.error('Error deleting watch:', error);
+        e.target.disabled = false;
+        showToast('מחיקת ההתראה נכשלה', 'error');
+      }
+    });
+
+    watchesList.appendChild(item);
+  });
+}
+
+/**
+ * Handle watch form submit
+ */
+async function handleCreateWatch(e) {
+  e.preventDefault();
+
+  const fromTime = document.getElementById('watch-from').value;
+  const toTime = document.getElementById('watch-to').value;
+  if (fromTime > toTime) {
+    showToast('שעת ההתחלה מאוחרת משעת הסיום', 'error');
+    return;
+  }
+
+  try {
+    await apiService.createWatch({
+      unitId: credentials.tennisCenter,
+      centerName: findCenter(credentials.tennisCenter)?.name,
+      date: new Date(Number(document.getElementById('watch-date').value)),
+      fromTime,
+      toTime,
+      minCourts: Number(document.getElementById('watch-min-courts').value),
+    });
+    showToast('ההתראה נוספה', 'success');
+    await loadWatches();
+  } catch (error) {
+    console.error('Error creating watch:', error);
+    showToast(`הוספת ההתראה נכשלה: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Mark the watches button when a watch fired since the watches screen was last opened
+ */
+async function updateWatchesBadge() {
+  try {
+    const seenAt = Number(localStorage.getItem('watchesSeenAt') || 0);
+    const watches = await apiService.fetchWatches();
+    const hasNewEvents = watches.some(watch => watch.events.some(event => event.firedAt > seenAt));
+    document.getElementById('watches-btn').classList.toggle('has-events', hasNewEvents);
+  } catch (error) {
+    console.error('Error checking watches:', error);
+  }
+}
+
+/**
+ * Handle logout
+ */
+function handleLogout() {
+  authService.logout();
+  localStorage.removeItem('credentials');
+  credentials = null;
+  document.getElementById('login-form').reset();
+  navigateToScreen('login-screen');
+  showToast('התנתקת בהצלחה', 'success');
+}
+
+/**
+ * Handle a session that expired and could not be renewed with the stored credentials
+ * Keeps the credentials in the login form so logging in again is one tap
+ */
+function handleSessionExpired() {
+  if (credentials) {
+    document.getElementById('email').value = credentials.email;
+    document.getElementById('user-id').value = credentials.userId;
+  }
+  navigateToScreen('login-screen');
+  showToast('פג תוקף ההתחברות, יש להתחבר מחדש', 'error');
+}
+
+/**
+ * Handle back button
+ */
+function handleBack() {
+  showDateSelection();
+}
+
+/**
+ * Centers from the last list the site gave us, or the built-in list before the first one
+ */
+function loadStoredCenters() {
+  try {
+    return JSON.parse(localStorage.getItem('centers')) || TENNIS_CENTERS;
+  } catch (error) {
+    console.error('Invalid stored centers:', error);
+    return TENNIS_CENTERS;
+  }
+}
+
+/**
+ * Find a tennis center by unit ID
+ */
+function findCenter(unitId) {
+  return centers.find(c => c.id === unitId);
+}
+
+/**
+ * Merge the site's center list with our metadata (English name, coordinates)
+ * Centers we have no metadata for yet are flagged with missingLocation
+ */
+function mergeCenters(units) {
+  return units
+    .map(unit => {
+      const known = TENNIS_CENTERS.find(c => c.id === unit.id);
+      return known ? { ...known, name: unit.name } : { id: unit.id, name: unit.name, missingLocation: true };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name, 'he'));
+}
+
+/**
+ * Load the tennis centers and court types after logging in
+ * Either failing leaves the stored ones in place and is reported on its own, not as a
+ * failed login. Returns true if the court type changed.
+ */
+async function loadSearchOptions() {
+  const [centersResult, courtTypesResult] = await Promise.allSettled([loadCenters(), loadCourtTypes()]);
+
+  if (centersResult.status === 'rejected') {
+    console.error('Loading tennis centers failed:', centersResult.reason);
+  }
+  if (courtTypesResult.status === 'rejected') {
+    console.error('Loading court types failed:', courtTypesResult.reason);
+  }
+  if (centersResult.status === 'rejected' || courtTypesResult.status === 'rejected') {
+    showToast('טעינת מרכזי הטניס וסוגי המגרשים נכשלה', 'error');
+  }
+
+  return courtTypesResult.status === 'fulfilled' && courtTypesResult.value;
+}
+
+/**
+ * Load the tennis center list from the site and rebuild the selector
+ * Keeps the current list if it cannot be loaded
+ */
+async function loadCenters() {
+  const units = await apiService.fetchCenters();
+  if (units.length === 0) {
+    return;
+  }
+
+  centers = mergeCenters(units);
+  localStorage.setItem('centers', JSON.stringify(centers));
+
+  const missing = centers.filter(c => c.missingLocation);
+  if (missing.length > 0) {
+    console.warn('Tennis centers without coordinates (add them to TENNIS_CENTERS):', missing.map(c => `${c.id} ${c.name}`).join(', '));
+  }
+
+  renderCenterOptions();
+  if (credentials) {
+    updateTennisCenterDisplay(credentials.tennisCenter);
+  }
+}
+
+/**
+ * Fill the tennis center selector
+ * Centers without coordinates are marked, since there is no weather forecast for them.
+ * Once the user's location is known, centers are listed closest first with their distance.
+ */
+function renderCenterOptions() {
+  const select = document.getElementById('tennis-center-city');
+  const selected = select.value;
+
+  const listed = userLocation
+    ? [...getCentersByDistance(), ...centers.filter(center => getCenterDistance(center) === null)]
+    : centers;
+
+  select.innerHTML = '<option value="">בחר מרכז טניס...</option>';
+  listed.forEach(center => {
+    const distance = getCenterDistance(center);
+    const label = center.missingLocation
+      ? `${center.name} (ללא תחזית)`
+      : distance !== null ? `${center.name} · ${formatDistance(distance)}` : center.name;
+    select.add(new Option(label, center.id));
+  });
+  select.value = selected;
+}
+
+/**
+ * The location from the last "near me", or null
+ */
+function loadUserLocation() {
+  try {
+    return JSON.parse(localStorage.getItem('location'));
+  } catch (error) {
+    console.error('Invalid stored location:', error);
+    return null;
+  }
+}
+
+/**
+ * Rank the centers by distance from a location, or list them by name again with null
+ */
+function setUserLocation(location) {
+  userLocation = location;
+  if (location) {
+    localStorage.setItem('location', JSON.stringify(location));
+  } else {
+    localStorage.removeItem('location');
+  }
+  renderCenterOptions();
+  renderLocationLabel();
+}
+
+/**
+ * Show where distances are measured from
+ */
+function renderLocationLabel() {
+  document.getElementById('location-label').hidden = !userLocation;
+  document.getElementById('location-name').textContent = userLocation ? `ממוין לפי מרחק מ${userLocation.label}` : '';
+}
+
+/**
+ * Distance in km from the user's location to a center, or null when either is unknown
+ */
+function getCenterDistance(center) {
+  if (!userLocation || center.missingLocation) {
+    return null;
+  }
+  return getDistanceKm(userLocation, center);
+}
+
+/**
+ * Centers with coordinates, closest first, each with its distance in km
+ */
+function getCentersByDistance() {
+  return centers
+    .map(center => ({ ...center, distance: getCenterDistance(center) }))
+    .filter(center => center.distance !== null)
+    .sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Format a distance in km, with one decimal under 10 km
+ */
+function formatDistance(km) {
+  return `${km < 10 ? km.toFixed(1) : Math.round(km)} ק״מ`;
+}
+
+/**
+ * Open or close the location form under the selectors
+ */
+function toggleLocationForm(open = document.getElementById('location-form').hidden) {
+  document.getElementById('location-form').hidden = !open;
+  document.getElementById('near-me-btn').setAttribute('aria-expanded', String(open));
+}
+
+/**
+ * Get the device's position from the Geolocation API
+ */
+function getCurrentPosition() {
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error('Geolocation is not supported'));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      position => resolve({ lat: position.coords.latitude, lng: position.coords.longitude, label: 'המיקום שלי' }),
+      reject,
+      { timeout: 10000, maximumAge: 10 * 60 * 1000 }
+    );
+  });
+}
+
+/**
+ * Rank the centers by distance from the device
+ * When the position is unavailable (denied, unsupported), the user can type an address instead
+ */
+async function handleGeolocationClick() {
+  showToast('מאתר מיקום...', 'info');
+
+  try {
+    setUserLocation(await getCurrentPosition());
+    toggleLocationForm(false);
+    showToast('מרכזי הטניס ממוינים לפי מרחק', 'success');
+  } catch (error) {
+    console.error('Geolocation failed:', error);
+    showToast('לא ניתן לאתר מיקום, אפשר להקליד עיר או כתובת', 'error');
+    document.getElementById('location-query').focus();
+  }
+}
+
+/**
+ * Rank the centers by distance from a typed-in address or city
+ */
+async function handleLocationSubmit(e) {
+  e.preventDefault();
+
+  const query = document.getElementById('location-query').value.trim();
+  if (!query) {
+    return;
+  }
+
+  try {
+    const location = await geocodingService.geocode(query);
+    if (!location) {
+      showToast('הכתובת לא נמצאה', 'error');
+      return;
+    }
+    setUserLocation(location);
+    toggleLocationForm(false);
+    showToast('מרכזי הטניס ממוינים לפי מרחק', 'success');
+  } catch (error) {
+    console.error('Geocoding failed:', error);
+    showToast('חיפוש הכתובת נכשל', 'error');
+  }
+}
+
+/**
+ * Search the NEARBY_CENTERS closest centers on a date and list their free courts
+ * in one list, by time and then distance. Without a location, asks for one first.
+ */
+async function showNearbyCourts(date) {
+  const nearby = getCentersByDistance().slice(0, NEARBY_CENTERS);
+  if (nearby.length === 0) {
+    toggleLocationForm(true);
+    showToast('יש לבחור מיקום תחילה', 'info');
+    return;
+  }
+
+  selectedDate = date;
+  navigateToScreen('nearby-screen');
+  nearbySearch?.abort();
+  const search = new AbortController();
+  nearbySearch = search;
+
+  document.getElementById('nearby-title').textContent = `קרוב אליך · ${formatDateDisplay(date)}`;
+  document.getElementById('nearby-centers').textContent = nearby
+    .map(center => `${center.name} (${formatDistance(center.distance)})`)
+    .join(' · ');
+  const loading = document.getElementById('nearby-loading');
+  loading.style.display = 'block';
+  const nearbyList = document.getElementById('nearby-list');
+  nearbyList.innerHTML = '';
+
+  // Every hour any of the centers is open; the others answer closed for it
+  const times = new Set(nearby.flatMap(center =>
+    generateTimeSlotsForDate(date, null, getDuration(), apiService.getOpeningHours(center.id)).map(slot => slot.time)
+  ));
+  const slots = [...times].sort().map(time => ({ date: new Date(date), time }));
+
+  if (slots.length === 0) {
+    loading.style.display = 'none';
+    nearbyList.innerHTML = `<div class="empty-state"><h3>אין מגרשים זמינים</h3><p>יש לנסות תאריך אחר.</p></div>`;
+    return;
+  }
+
+  // Court type IDs belong to one center, so the centers are searched for tennis courts
+  await apiService.searchMultipleCenters(nearby.map(center => center.id), date, slots, {
+    duration: getDuration(),
+    courtType: DEFAULT_COURT_TYPE,
+    signal: search.signal,
+  }, (results, isComplete) => {
+    if (nearbySearch !== search) {
+      return;
+    }
+    if (isComplete) {
+      loading.style.display = 'none';
+    }
+    renderNearbyResults(slots, nearby, results, isComplete);
+  });
+
+  if (nearbySearch === search) {
+    loading.style.display = 'none';
+  }
+}
+
+/**
+ * Render the free courts of the nearby search, by time and then distance
+ */
+function renderNearbyResults(slots, nearby, results, isComplete) {
+  const nearbyList = document.getElementById('nearby-list');
+  nearbyList.innerHTML = '';
+
+  slots.forEach(slot => {
+    nearby.forEach(center => {
+      const result = results.get(`${center.id}_${formatDate(slot.date)}_${slot.time}`);
+      if (!result || result.status !== 'available') {
+        return;
+      }
+
+      const courtTags = result.courts.map(num => {
+        const courtSlot = result.slots.find(s => s.courtNumber === num);
+        return courtSlot
+          ? `<button class="court-tag" data-unit-id="${center.id}" data-court-number="${num}" data-booking-url="${escapeHtml(courtSlot.bookingUrl)}" data-time="${slot.time}">${num}</button>`
+          : `<span class="court-tag">${num}</span>`;
+      }).join('');
+
+      const timeSlot = document.createElement('div');
+      timeSlot.className = 'time-slot available';
+      timeSlot.innerHTML = `
+        <div class="time-slot-header">
+          <div class="time-label">${slot.time}</div>
+          <div class="center-label">${center.name} <span class="distance">${formatDistance(center.distance)}</span></div>
+        </div>
+        <div class="status-badge available">${result.courts.length} מגרש${result.courts.length > 1 ? 'ים' : ''}</div>
+        <div class="court-tags">${courtTags}</div>
+      `;
+      nearbyList.appendChild(timeSlot);
+    });
+  });
+
+  if (isComplete && nearbyList.children.length === 0) {
+    nearbyList.innerHTML = `<div class="empty-state"><h3>אין מגרשים זמינים</h3><p>יש לנסות תאריך אחר.</p></div>`;
+  }
+}
+
+/**
+ * Update tennis center city display
+ */
+function updateTennisCenterDisplay(tennisCenterId) {
+  const displayElement = document.getElementById('tennis-center-city');
+  if (displayElement) {
+    displayElement.value = tennisCenterId;
+  }
+}
+
+/**
+ * Fill the booking duration selector
+ */
+function renderDurationOptions(selectedDuration) {
+  const select = document.getElementById('duration-select');
+  select.innerHTML = DURATIONS
+    .map(d => `<option value="${d.value}">${d.label}</option>`)
+    .join('');
+  select.value = selectedDuration;
+}
+
+/**
+ * Load the court types of the selected tennis center into the court type selector
+ * The selector is hidden when the center only has tennis courts; a stored type the
+ * center does not offer falls back to its first type. Returns true if the type changed.
+ */
+async function loadCourtTypes() {
+  const select = document.getElementById('court-type-select');
+  const courtTypes = await apiService.fetchCourtTypes(credentials.tennisCenter);
+
+  select.innerHTML = '';
+  courtTypes.forEach(courtType => select.add(new Option(courtType.name, courtType.id)));
+  select.hidden = courtTypes.length < 2;
+
+  const changed = courtTypes.length > 0 && !courtTypes.some(courtType => courtType.id === getCourtType());
+  if (changed) {
+    credentials.courtType = courtTypes[0].id;
+    localStorage.setItem('credentials', JSON.stringify(credentials));
+  }
+  select.value = getCourtType();
+  return changed;
+}
+
+/**
+ * Reload the current screen after a search setting changed
+ */
+function reloadCurrentScreen() {
+  if (currentScreen === 'date-screen') {
+    showDateSelection();
+  } else if (currentScreen === 'courts-screen' && selectedDate) {
+    showCourts(selectedDate);
+  } else if (currentScreen === 'insights-screen') {
+    showInsights();
+  } else if (currentScreen === 'nearby-screen' && selectedDate) {
+    showNearbyCourts(selectedDate);
+  }
+}
+
+/**
+ * Parse date from URL parameter
+ * Accepts formats: YYYY-MM-DD, DD/MM/YYYY
+ */
+function parseDateFromURL() {
+  const urlParams = new URLSearchParams(window.location.search);
+  const dateParam = urlParams.get('date');
+
+  if (!dateParam) {
+    return null;
+  }
+
+  let date;
+
+  // Try parsing YYYY-MM-DD format (ISO)
+  if (dateParam.match(/^\d{4}-\d{2}-\d{2}$/)) {
+    date = new Date(dateParam);
+  }
+  // Try parsing DD/MM/YYYY format
+  else if (dateParam.match(/^\d{2}\/\d{2}\/\d{4}$/)) {
+    const [day, month, year] = dateParam.split('/');
+    date = new Date(year, month - 1, day);
+  }
+  else {
+    console.error('Invalid date format in URL. Use YYYY-MM-DD or DD/MM/YYYY');
+    return null;
+  }
+
+  // Validate date is valid
+  if (isNaN(date.getTime())) {
+    console.error('Invalid date in URL');
+    return null;
+  }
+
+  // Validate date is in the future (or today)
+  const today = getToday();
+  if (date < today) {
+    console.error('Date in URL is in the past');
+    return null;
+  }
+
+  // Validate date is within 14 days
+  const maxDate = new Date(today);
+  maxDate.setDate(today.getDate() + 14);
+  if (date > maxDate) {
+    console.error('Date in URL is too far in the future (max 14 days)');
+    return null;
+  }
+
+  return date;
+}
+
+/**
+ * Parse tennis center ID from URL parameter (used by notification deep links)
+ */
+function parseCenterFromURL() {
+  const urlParams = new URLSearchParams(window.location.search);
+  const centerParam = urlParams.get('center');
+
+  if (!centerParam) {
+    return null;
+  }
+
+  if (!findCenter(centerParam)) {
+    console.error('Unknown tennis center in URL');
+    return null;
+  }
+
+  return centerParam;
+}
+
+/**
+ * Initialize app
+ */
+function init() {
+  // Check if already logged in
+  const storedCredentials = localStorage.getItem('credentials');
+  const urlDate = parseDateFromURL();
+  const urlCenter = parseCenterFromURL();
+
+  pushService.register().catch(error => console.error('Service worker registration failed:', error));
+  authService.onSessionExpired = handleSessionExpired;
+  renderDurationOptions(DEFAULT_DURATION);
+  renderCenterOptions();
+  renderLocationLabel();
+  renderPlayabilitySettings();
+
+  if (storedCredentials && authService.loadFromStorage()) {
+    credentials = JSON.parse(storedCredentials);
+    if (urlCenter) {
+      credentials.tennisCenter = urlCenter;
+      localStorage.setItem('credentials', JSON.stringify(credentials));
+    }
+    updateTennisCenterDisplay(credentials.tennisCenter);
+    renderDurationOptions(getDuration());
+    loadSearchOptions().then(changed => changed && reloadCurrentScreen());
+
+    // If date is provided in URL, go directly to courts screen
+    if (urlDate) {
+      showCourts(urlDate);
+    } else {
+      showDateSelection();
+    }
+  } else if (urlDate) {
+    // If date is provided but not logged in, show toast
+    showToast('יש להתחבר תחילה', 'error');
+  }
+
+  // Event listeners
+  document.getElementById('login-form').addEventListener('submit', handleLogin);
+  document.getElementById('logout-btn').addEventListener('click', handleLogout);
+  document.getElementById('back-btn').addEventListener('click', handleBack);
+  document.getElementById('refresh-btn').addEventListener('click', () => {
+    if (selectedDate) {
+      showCourts(selectedDate, { refresh: true });
+    }
+  });
+  document.getElementById('courts-list').addEventListener('click', handleCourtTagClick);
+  document.getElementById('courts-list').addEventListener('click', handleSuggestedTimeClick);
+  document.getElementById('courts-list').addEventListener('click', handleRetrySlotClick);
+  document.querySelectorAll('#courts-view-toggle button').forEach(button => {
+    button.addEventListener('click', () => setCourtsView(button.dataset.view));
+  });
+  setCourtsView(courtsView);
+  document.getElementById('court-blocks-list').addEventListener('click', handleCourtBlockClick);
+  document.getElementById('playability-thresholds').addEventListener('change', handlePlayabilityThresholdChange);
+  document.getElementById('reset-playability-btn').addEventListener('click', resetPlayabilityThresholds);
+  document.getElementById('block-length-select').addEventListener('change', function (e) {
+    if (credentials) {
+      credentials.blockLength = e.target.value;
+      localStorage.setItem('credentials', JSON.stringify(credentials));
+    }
+    rerenderCourtsResults();
+  });
+  document.getElementById('reservations-btn').addEventListener('click', showReservations);
+  document.getElementById('reservations-back-btn').addEventListener('click', handleBack);
+  document.getElementById('watches-btn').addEventListener('click', showWatches);
+  document.getElementById('watches-back-btn').addEventListener('click', handleBack);
+  document.getElementById('insights-btn').addEventListener('click', showInsights);
+  document.getElementById('insights-back-btn').addEventListener('click', handleBack);
+  document.getElementById('nearby-btn').addEventListener('click', () => {
+    if (selectedDate) {
+      showNearbyCourts(selectedDate);
+    }
+  });
+  document.getElementById('nearby-back-btn').addEventListener('click', handleBack);
+  document.getElementById('nearby-list').addEventListener('click', handleCourtTagClick);
+  document.getElementById('near-me-btn').addEventListener('click', () => toggleLocationForm());
+  document.getElementById('geolocation-btn').addEventListener('click', handleGeolocationClick);
+  document.getElementById('location-form').addEventListener('submit', handleLocationSubmit);
+  document.getElementById('clear-location-btn').addEventListener('click', () => setUserLocation(null));
+  document.getElementById('watch-form').addEventListener('submit', handleCreateWatch);
+  document.getElementById('push-toggle-btn').addEventListener('click', handlePushToggle);
+
+  // Tennis center selector change handler
+  document.getElementById('tennis-center-city').addEventListener('change', async function (e) {
+    if (e.target.value && credentials) {
+      credentials.tennisCenter = e.target.value;
+      localStorage.setItem('credentials', JSON.stringify(credentials));
+      showToast('מרכז הטניס עודכן', 'success');
+      // The new center may offer other court types
+      if (authService.isAuthenticated()) {
+        await loadCourtTypes().catch(error => console.error('Loading court types failed:', error));
+      }
+      // Reload current screen if on date selection or courts
+      reloadCurrentScreen();
+    }
+  });
+
+  // Booking duration selector change handler
+  document.getElementById('duration-select').addEventListener('change', function (e) {
+    if (credentials) {
+      credentials.duration = e.target.value;
+      localStorage.setItem('credentials', JSON.stringify(credentials));
+      reloadCurrentScreen();
+    }
+  });
+
+  // Court type selector change handler
+  document.getElementById('court-type-select').addEventListener('change', function (e) {
+    if (credentials) {
+      credentials.courtType = e.target.value;
+      localStorage.setItem('credentials', JSON.stringify(credentials));
+      reloadCurrentScreen();
+    }
   });
 }
 
@@ -0,0 +1,45 @@
+/**
+ * Service worker - shows Web Push notifications for availability watches
+ * and opens the courts screen of the slot that freed up when one is tapped
+ */
+
+self.addEventListener('push', (event) => {
+  const payload = event.data ? event.data.json() : {};
+
+  // Deep link: main.js opens the courts screen for ?date=...&center=...
+  const url = new URL(self.registration.scope);
+  if (payload.date) {
+    url.searchParams.set('date', payload.date);
+  }
+  if (payload.unitId) {
+    url.searchParams.set('center', payload.unitId);
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || 'מרכזי הטניס', {
+      body: payload.body || '',
+      icon: 'favicon.png',
+      badge: 'favicon.png',
+      tag: payload.tag,
+      lang: 'he',
+      dir: 'rtl',
+      data: { url: url.href },
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || self.registration.scope;
+
+  event.waitUntil((async () => {
+    const windowClients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windowClients.find((c) => c.url.startsWith(self.registration.scope));
+
+    if (client) {
+      await client.navigate(url);
+      return client.focus();
+    }
+    return self.clients.openWindow(url);
+  })());
+});
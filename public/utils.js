@@ -2,6 +2,8 @@
  * Date and time utilities
  */
 
+import { getHoliday } from "./holidays.js";
+
 /**
  * Format date for ITEC API (dd/MM/yyyy)
  */
@@ -19,39 +21,88 @@ export function getDayOfWeek(date) {
   return date.getDay();
 }
 
+// Opening hours ([from, to] hour ranges) by day type, used until a center's own hours are learned
+const DEFAULT_OPENING_HOURS = {
+  weekday: [[8, 22]],
+  eve: [[7, 16]],
+  holiday: [[7, 12], [16, 21]],
+  closed: [],
+};
+
 /**
- * Get valid time slots based on day of week
- * Sun-Thu: 8:00-22:00
- * Fri: 7:00-16:00
- * Sat: 7:00-12:00, 16:00-21:00
+ * Get the kind of day a date is for opening hours:
+ * "weekday", "eve" (Friday or a holiday eve), "holiday" (Saturday or a holiday)
+ * or "closed" (Yom Kippur)
  */
-export function getValidTimeSlots(date) {
-  const dayOfWeek = getDayOfWeek(date);
-  const slots = [];
+export function getDayType(date) {
+  const holiday = getHoliday(date);
+  if (holiday?.closed) {
+    return "closed";
+  }
+  if (holiday?.type === "holiday" || date.getDay() === 6) {
+    return "holiday";
+  }
+  if (holiday?.type === "eve" || date.getDay() === 5) {
+    return "eve";
+  }
+  return "weekday";
+}
 
-  if (dayOfWeek >= 0 && dayOfWeek <= 4) {
-    // Sunday to Thursday: 8:00-22:00
-    for (let hour = 8; hour <= 22; hour++) {
-      slots.push(`${String(hour).padStart(2, "0")}:00`);
-    }
-  } else if (dayOfWeek === 5) {
-    // Friday: 7:00-16:00
-    for (let hour = 7; hour <= 16; hour++) {
-      slots.push(`${String(hour).padStart(2, "0")}:00`);
-    }
-  } else if (dayOfWeek === 6) {
-    // Saturday: 7:00-12:00, 16:00-21:00
-    for (let hour = 7; hour <= 12; hour++) {
-      slots.push(`${String(hour).padStart(2, "0")}:00`);
-    }
-    for (let hour = 16; hour <= 21; hour++) {
+/**
+ * Get the time slots a center is open on a date
+ * Uses the hours learned for the center's day type (see learnOpeningHours),
+ * otherwise the usual hours:
+ * Weekdays: 8:00-22:00
+ * Fridays and holiday eves: 7:00-16:00
+ * Saturdays and holidays: 7:00-12:00, 16:00-21:00
+ */
+export function getValidTimeSlots(date, openingHours = {}) {
+  const dayType = getDayType(date);
+  if (openingHours[dayType]) {
+    return openingHours[dayType];
+  }
+
+  const slots = [];
+  for (const [from, to] of DEFAULT_OPENING_HOURS[dayType]) {
+    for (let hour = from; hour <= to; hour++) {
       slots.push(`${String(hour).padStart(2, "0")}:00`);
     }
   }
-
   return slots;
 }
 
+/**
+ * Record the time slots a center offered on a date (from set_time_by_unit)
+ * as its opening hours for that day type
+ * Returns the updated hours, or null when nothing changed. Empty answers are
+ * ignored, since they can't be told apart from a failed parse.
+ */
+export function learnOpeningHours(openingHours, date, timeSlots) {
+  const dayType = getDayType(date);
+  if (timeSlots.length === 0 || openingHours[dayType]?.join() === timeSlots.join()) {
+    return null;
+  }
+  return { ...openingHours, [dayType]: timeSlots };
+}
+
+/**
+ * Check whether a booking of the given duration (hours) starting at time (HH:MM)
+ * ends before closing, i.e. every hour it touches is one of the open time slots
+ */
+export function fitsOpeningHours(time, duration, openSlots) {
+  const openHours = openSlots.map((slot) => parseInt(slot.split(":")[0], 10));
+  const [hours, minutes] = time.split(":").map(Number);
+  const start = hours * 60 + minutes;
+  const end = start + parseFloat(duration) * 60;
+
+  for (let hour = hours; hour * 60 < end; hour++) {
+    if (!openHours.includes(hour)) {
+      return false;
+    }
+  }
+  return true;
+}
+
 /**
  * Get start of today at midnight
  */
@@ -104,18 +155,26 @@ export function getWeekday(date) {
 }
 
 export function getShortWeekday(date) {
+  return getWeekdayLetter(date.getDay());
+}
+
+/**
+ * Get the Hebrew letter of a day of the week (0 = Sunday)
+ */
+export function getWeekdayLetter(dayOfWeek) {
   const days = ["א", "ב", "ג", "ד", "ה", "ו", "ש"];
-  return days[date.getDay()];
+  return days[dayOfWeek];
 }
 
 /**
  * Generate time slots for a specific date starting from current hour if it's today
- * Can accept custom time slots from the API or use default slots
- * Filters to show half-hour slots only when the next full hour is not available
+ * Can accept custom time slots from the API or fall back to the center's opening hours
+ * Filters to show half-hour slots only when the next full hour is not available,
+ * and drops start times where a booking of the given duration would run past closing
  */
-export function generateTimeSlotsForDate(date, availableTimeSlots) {
+export function generateTimeSlotsForDate(date, availableTimeSlots, duration = 1, openingHours = {}) {
   const slots = [];
-  const validSlots = availableTimeSlots || getValidTimeSlots(date);
+  const validSlots = availableTimeSlots || getValidTimeSlots(date, openingHours);
   const now = new Date();
   const isToday = date.toDateString() === now.toDateString();
   const currentHour = now.getHours();
@@ -137,9 +196,153 @@ export function generateTimeSlotsForDate(date, availableTimeSlots) {
     return true;
   });
 
+  // Filter: a longer booking must end by closing time
+  const openSlots = availableTimeSlots || getValidTimeSlots(date, openingHours);
+  slotsToInclude = slotsToInclude.filter((slot) => fitsOpeningHours(slot, duration, openSlots));
+
   for (const time of slotsToInclude) {
     slots.push({ date: new Date(date), time });
   }
 
   return slots;
 }
+
+/**
+ * Stitch search results into blocks of back-to-back slots free on the same court
+ * Bookings are chained by their start and end times, whatever order the slots are
+ * listed in: a booking continues a court's block when it starts as the block ends,
+ * so half-hour slots between the hours form blocks of their own. A booking that ends
+ * past midnight ends on the next day (its end is over 24:00), so it never chains into
+ * the same date's early hours. Blocks of at least two bookings and minHours are
+ * returned, longest runs whole, as { courtNumber, start, end, slots } in minutes since
+ * midnight.
+ */
+export function findCourtBlocks(slots, results, duration, minHours) {
+  const length = parseFloat(duration) * 60;
+  const bookings = new Map(); // `${courtNumber}|${start}` -> booking, once per court and start
+
+  slots.forEach((slot) => {
+    const result = results.get(`${formatDate(slot.date)}_${slot.time}`);
+    if (result?.status !== "available") {
+      return;
+    }
+
+    result.slots.forEach((courtSlot) => {
+      const start = toMinutes(getClockTime(courtSlot.startTime) || slot.time);
+      let end = courtSlot.endTime ? toMinutes(getClockTime(courtSlot.endTime)) : start + length;
+      if (end <= start) {
+        end += 24 * 60;
+      }
+      const key = `${courtSlot.courtNumber}|${start}`;
+      if (!bookings.has(key)) {
+        bookings.set(key, { ...courtSlot, time: slot.time, start, end });
+      }
+    });
+  });
+
+  const openBlocks = new Map(); // `${courtNumber}|${end}` -> block that can still be extended
+  const blocks = [];
+
+  [...bookings.values()]
+    .sort((a, b) => a.start - b.start)
+    .forEach(({ start, end, ...courtSlot }) => {
+      const { courtNumber } = courtSlot;
+      let block = openBlocks.get(`${courtNumber}|${start}`);
+      if (block) {
+        openBlocks.delete(`${courtNumber}|${start}`);
+      } else {
+        block = { courtNumber, start, end: start, slots: [] };
+        blocks.push(block);
+      }
+      block.slots.push(courtSlot);
+      block.end = end;
+      openBlocks.set(`${courtNumber}|${end}`, block);
+    });
+
+  return blocks
+    .filter((block) => block.slots.length > 1 && block.end - block.start >= minHours * 60)
+    .sort((a, b) => a.start - b.start || a.courtNumber - b.courtNumber);
+}
+
+/**
+ * The HH:MM of a booking time, which the site sends as "dd/MM/yyyy HH:MM"
+ */
+export function getClockTime(dateTime) {
+  return dateTime?.match(/\d{1,2}:\d{2}$/)?.[0];
+}
+
+/**
+ * Minutes since midnight of a time (HH:MM)
+ */
+export function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Format minutes since midnight as HH:MM, wrapping past midnight
+ */
+export function formatMinutes(minutes) {
+  const time = minutes % (24 * 60);
+  return `${String(Math.floor(time / 60)).padStart(2, "0")}:${String(time % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Great-circle distance in km between two { lat, lng } points (haversine)
+ */
+export function getDistanceKm(from, to) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(a));
+}
+
+// Factors of the playability score: the hour's value, the threshold it is held to (below
+// marks a minimum), the points at stake and how far past the threshold costs all of them
+const PLAYABILITY_FACTORS = [
+  { label: "גשם", value: (weather) => weather.precipitationProbability, threshold: "maxRainProbability", weight: 60, span: 40 },
+  { label: "רוח", value: (weather) => weather.windSpeed, threshold: "maxWindSpeed", weight: 40, span: 20 },
+  { label: "חום", value: (weather) => weather.apparentTemperature, threshold: "maxTemperature", weight: 40, span: 8 },
+  { label: "קור", value: (weather) => weather.apparentTemperature, threshold: "minTemperature", below: true, weight: 30, span: 8 },
+  { label: "קרינת UV", value: (weather) => weather.uvIndex, threshold: "maxUvIndex", weight: 20, span: 3 },
+  { label: "לחות", value: (weather) => weather.humidity, threshold: "maxHumidity", weight: 20, span: 20 },
+];
+
+/**
+ * Score an hour's weather for tennis from 0 to 100
+ * Every threshold the weather goes past costs points, the further past the more.
+ * Returns { score, level: "good" | "fair" | "poor", reasons } with the labels of the
+ * factors past their thresholds, worst first
+ */
+export function getPlayability(weather, thresholds) {
+  const penalties = PLAYABILITY_FACTORS
+    .map((factor) => {
+      const value = factor.value(weather);
+      const threshold = thresholds[factor.threshold];
+      if (value === null || value === undefined || threshold === undefined) {
+        return null;
+      }
+      const excess = factor.below ? threshold - value : value - threshold;
+      return excess > 0 ? { label: factor.label, points: factor.weight * Math.min(1, excess / factor.span) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.points - a.points);
+
+  const score = Math.max(0, Math.round(100 - penalties.reduce((total, penalty) => total + penalty.points, 0)));
+  const level = score >= 75 ? "good" : score >= 50 ? "fair" : "poor";
+  return { score, level, reasons: penalties.map((penalty) => penalty.label) };
+}
+
+/**
+ * Escape text for HTML markup and quoted attributes
+ */
+export function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}